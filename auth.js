@@ -192,5 +192,5 @@ class SalesforceAuth {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SalesforceAuth;
 } else {
-  window.SalesforceAuth = SalesforceAuth;
+  self.SalesforceAuth = SalesforceAuth;
 }
\ No newline at end of file
@@ -1,18 +1,29 @@
 // Background service worker for Salesforce CSV Uploader Chrome Extension
 
+importScripts('settings.js', 'auth.js', 'salesforce-api.js', 'csv-parser.js', 'upload-store.js', 'stage-linker.js', 'upload-manager.js');
+
+const uploadManager = new UploadManager();
+
 // Installation and update handlers
-chrome.runtime.onInstalled.addListener((details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('Salesforce CSV Uploader installed/updated:', details.reason);
   
   if (details.reason === 'install') {
     // Set default settings on first install
-    chrome.storage.local.set({
-      'sf_settings': {
-        apiVersion: 'v58.0',
-        batchSize: 200,
-        enableLogging: false
-      }
-    });
+    chrome.storage.local.set({ 'sf_settings': DEFAULT_SETTINGS });
+  }
+  
+  if (details.reason === 'update') {
+    // Add settings introduced since the last version without touching user changes
+    const result = await chrome.storage.local.get(['sf_settings']);
+    const settings = { ...DEFAULT_SETTINGS, ...(result.sf_settings || {}) };
+    
+    // Older versions stored an unused batchSize of 200; that is far too small for job splitting
+    if (result.sf_settings && result.sf_settings.batchSize === 200 && !('maxBatchBytes' in result.sf_settings)) {
+      settings.batchSize = DEFAULT_SETTINGS.batchSize;
+    }
+    
+    chrome.storage.local.set({ 'sf_settings': settings });
   }
 });
 
@@ -45,6 +56,39 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
   
+  if (request.type === 'start_upload') {
+    // Take ownership of an upload prepared by the popup
+    uploadManager.startUpload(request.upload)
+      .then(upload => sendResponse({ success: true, upload: upload }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.type === 'get_uploads') {
+    uploadManager.getUploads()
+      .then(uploads => sendResponse({ success: true, uploads: uploads }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.type === 'abort_upload') {
+    uploadManager.abortUpload(request.uploadId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.type === 'acknowledge_upload') {
+    uploadManager.acknowledgeUpload(request.uploadId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
   if (request.type === 'log_event') {
     // Log events for debugging
     console.log('[SF CSV Uploader]', request.event, request.data);
@@ -188,6 +232,8 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 
 // Handle storage changes for debugging
 chrome.storage.onChanged.addListener((changes, areaName) => {
+  // Upload progress changes on every poll and would flood the log
+  if (Object.keys(changes).every(key => key === 'sf_uploads' || key === 'sf_upload_history')) return;
   console.log('Storage changed in', areaName, ':', changes);
 });
 
@@ -197,8 +243,16 @@ chrome.alarms.onAlarm.addListener((alarm) => {
     // Periodic cleanup of expired auth data
     cleanupExpiredAuth();
   }
+  
+  if (alarm.name === 'upload_monitor') {
+    // Wake up to keep monitoring uploads after the worker was suspended
+    uploadManager.tick();
+  }
 });
 
+// Resume any uploads that were active when the worker last stopped
+uploadManager.tick();
+
 // Set up periodic cleanup
 chrome.alarms.create('cleanup_auth', { periodInMinutes: 60 });
 
@@ -0,0 +1,210 @@
+// Column Transforms
+// Runs the per-column transform pipeline configured in the mapping step. A pipeline
+// is an ordered list of plain step objects, e.g.
+//   [{ type: 'trim' }, { type: 'split', separator: ' ', part: '1' }, { type: 'case', mode: 'title' }]
+// so it can be stored with mapping templates as JSON.
+class ColumnTransforms {
+  constructor() {
+    this.patternCache = new Map();
+  }
+
+  // Apply every step in order; row gives access to other columns for concat
+  apply(value, steps, row) {
+    return (steps || []).reduce((current, step) => this.applyStep(current, step, row), value);
+  }
+
+  applyStep(value, step, row) {
+    switch (step.type) {
+      case 'trim':
+        return step.collapse ? value.trim().replace(/\s+/g, ' ') : value.trim();
+
+      case 'case':
+        return this.changeCase(value, step.mode);
+
+      case 'replace':
+        return value.replace(this.getPattern(step.pattern, step.flags), step.replacement || '');
+
+      case 'split':
+        return this.splitValue(value, step.separator, step.part);
+
+      case 'concat': {
+        const other = (row[step.column] || '').trim();
+        if (!other) return value;
+        if (!value) return other;
+        const separator = step.separator === undefined ? ' ' : step.separator;
+        return step.position === 'before' ? other + separator + value : value + separator + other;
+      }
+
+      case 'constant':
+        return step.value || '';
+
+      case 'default':
+        return value.trim() === '' ? (step.value || '') : value;
+
+      case 'lookup':
+        return this.lookupValue(value, step);
+
+      case 'date':
+        return this.reformatDate(value, step.from, step.to);
+
+      default:
+        throw new Error(`Unknown transform '${step.type}'`);
+    }
+  }
+
+  changeCase(value, mode) {
+    switch (mode) {
+      case 'upper':
+        return value.toUpperCase();
+      case 'lower':
+        return value.toLowerCase();
+      case 'title':
+        return value.toLowerCase().replace(/(^|[\s\-'])(\p{L})/gu, (match, prefix, letter) => prefix + letter.toUpperCase());
+      default:
+        return value;
+    }
+  }
+
+  // part is a 1-based index, 'last', or 'rest' (everything after the first part). A single
+  // part is also the last one, so "Cher" still gives a last name
+  splitValue(value, separator, part) {
+    const parts = value.trim().split(separator || ' ').filter(piece => piece !== '');
+    if (parts.length === 0) return '';
+
+    if (part === 'last') {
+      return parts[parts.length - 1];
+    }
+    if (part === 'rest') {
+      return parts.slice(1).join(separator || ' ');
+    }
+    return parts[parseInt(part, 10) - 1] || '';
+  }
+
+  // table maps source values to replacements; unmatched values are kept unless a fallback is set
+  lookupValue(value, step) {
+    const table = step.table || {};
+    const key = step.ignoreCase ? value.trim().toLowerCase() : value.trim();
+
+    for (const [from, to] of Object.entries(table)) {
+      if ((step.ignoreCase ? from.toLowerCase() : from) === key) {
+        return to;
+      }
+    }
+    return step.fallback === undefined || step.fallback === null ? value : step.fallback;
+  }
+
+  reformatDate(value, fromFormat, toFormat) {
+    if (value.trim() === '') return value;
+
+    const parts = ColumnTransforms.parseDate(value.trim(), fromFormat);
+    if (!parts) {
+      throw new Error(`'${value}' does not match the date format ${fromFormat}`);
+    }
+    return ColumnTransforms.formatDate(parts, toFormat);
+  }
+
+  getPattern(pattern, flags) {
+    const key = `${flags || ''}/${pattern}`;
+    if (!this.patternCache.has(key)) {
+      try {
+        this.patternCache.set(key, new RegExp(pattern, flags || 'g'));
+      } catch (error) {
+        throw new Error(`Invalid pattern /${pattern}/: ${error.message}`);
+      }
+    }
+    return this.patternCache.get(key);
+  }
+
+  // Describe a step in a few words for the mapping row summary
+  static describe(step) {
+    const type = ColumnTransforms.TYPES.find(candidate => candidate.value === step.type);
+    return type ? type.label : step.type;
+  }
+
+  // Parse a date using tokens YYYY, YY, MM, M, DD, D, HH, H, mm, ss; other characters match literally
+  static parseDate(value, format) {
+    const tokens = [];
+    const pattern = format.replace(/YYYY|YY|MM|M|DD|D|HH|H|mm|ss|[.*+?^${}()|[\]\\]/g, token => {
+      if (!ColumnTransforms.DATE_TOKENS[token]) {
+        return '\\' + token; // Escaped literal
+      }
+      tokens.push(token);
+      return ColumnTransforms.DATE_TOKENS[token];
+    });
+
+    const match = value.match(new RegExp(`^${pattern}$`));
+    if (!match) return null;
+
+    const parts = { year: 0, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+    tokens.forEach((token, index) => {
+      const number = parseInt(match[index + 1], 10);
+      switch (token) {
+        case 'YYYY': parts.year = number; break;
+        case 'YY': parts.year = number + (number < 50 ? 2000 : 1900); break;
+        case 'MM': case 'M': parts.month = number; break;
+        case 'DD': case 'D': parts.day = number; break;
+        case 'HH': case 'H': parts.hour = number; break;
+        case 'mm': parts.minute = number; break;
+        case 'ss': parts.second = number; break;
+      }
+    });
+
+    // Reject impossible dates such as 31/02
+    const check = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+    if (check.getUTCMonth() !== parts.month - 1 || check.getUTCDate() !== parts.day ||
+        parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+      return null;
+    }
+    return parts;
+  }
+
+  static formatDate(parts, format) {
+    const pad = (number, length = 2) => String(number).padStart(length, '0');
+    const values = {
+      YYYY: pad(parts.year, 4),
+      YY: pad(parts.year % 100),
+      MM: pad(parts.month),
+      M: String(parts.month),
+      DD: pad(parts.day),
+      D: String(parts.day),
+      HH: pad(parts.hour),
+      H: String(parts.hour),
+      mm: pad(parts.minute),
+      ss: pad(parts.second)
+    };
+    return format.replace(/YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g, token => values[token]);
+  }
+}
+
+ColumnTransforms.DATE_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MM: '(\\d{2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{2})',
+  D: '(\\d{1,2})',
+  HH: '(\\d{2})',
+  H: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})'
+};
+
+// Step types offered in the mapping UI, with the settings a new step starts with
+ColumnTransforms.TYPES = [
+  { value: 'trim', label: 'Trim whitespace', defaults: { collapse: false } },
+  { value: 'case', label: 'Change case', defaults: { mode: 'title' } },
+  { value: 'replace', label: 'Regex replace', defaults: { pattern: '', flags: 'g', replacement: '' } },
+  { value: 'split', label: 'Split', defaults: { separator: ' ', part: '1' } },
+  { value: 'concat', label: 'Append column', defaults: { column: '', separator: ' ', position: 'after' } },
+  { value: 'constant', label: 'Constant value', defaults: { value: '' } },
+  { value: 'default', label: 'Default if empty', defaults: { value: '' } },
+  { value: 'lookup', label: 'Lookup table', defaults: { table: {}, ignoreCase: true, fallback: null } },
+  { value: 'date', label: 'Reformat date', defaults: { from: 'DD/MM/YYYY', to: 'YYYY-MM-DD' } }
+];
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ColumnTransforms;
+} else {
+  window.ColumnTransforms = ColumnTransforms;
+}
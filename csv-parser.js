@@ -0,0 +1,148 @@
+// RFC 4180 CSV Parser
+// Incremental state machine: text can be pushed in arbitrary chunks, so quoted
+// fields, escaped quotes and CRLF pairs may span chunk boundaries.
+class CSVParser {
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || ',';
+    // An empty quote character disables quote handling entirely
+    this.quote = options.quote !== undefined ? options.quote : '"';
+    this.reset();
+  }
+
+  reset() {
+    this.state = 'fieldStart';
+    this.field = '';
+    this.record = [];
+    this.skipLineFeed = false;
+    this.quotedCarriageReturn = false;
+    this.atStart = true;
+    this.line = 1;
+    this.recordStartLine = 1;
+    this.fieldHasContent = false;
+  }
+
+  // Feed a chunk of text; onRecord(fields, lineNumber) is called per complete record
+  push(text, onRecord) {
+    let i = 0;
+
+    // Strip a UTF-8 byte order mark at the very start of the input
+    if (this.atStart && text.length > 0) {
+      if (text.charCodeAt(0) === 0xFEFF) {
+        i = 1;
+      }
+      this.atStart = false;
+    }
+
+    for (; i < text.length; i++) {
+      const char = text[i];
+
+      // Second half of a CRLF pair that ended the previous record
+      if (this.skipLineFeed) {
+        this.skipLineFeed = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+
+      switch (this.state) {
+        case 'quoted':
+          if (char === this.quote) {
+            this.state = 'quoteInQuoted';
+          } else {
+            // Line breaks inside quotes are data; only track them for line numbers
+            if (char === '\r' || (char === '\n' && !this.quotedCarriageReturn)) {
+              this.line++;
+            }
+            this.quotedCarriageReturn = char === '\r';
+            this.field += char;
+          }
+          break;
+
+        case 'quoteInQuoted':
+          if (char === this.quote) {
+            // Escaped quote ("")
+            this.field += char;
+            this.state = 'quoted';
+          } else if (char === this.delimiter) {
+            this.endField();
+          } else if (char === '\r' || char === '\n') {
+            this.endRecord(char, onRecord);
+          } else {
+            // Text after a closing quote is kept rather than dropped
+            this.field += char;
+            this.state = 'unquoted';
+          }
+          break;
+
+        case 'fieldStart':
+          if (char === this.quote) {
+            this.state = 'quoted';
+            this.fieldHasContent = true;
+            break;
+          }
+          // Falls through to unquoted handling
+
+        case 'unquoted':
+          if (char === this.delimiter) {
+            this.endField();
+          } else if (char === '\r' || char === '\n') {
+            this.endRecord(char, onRecord);
+          } else {
+            this.field += char;
+            this.fieldHasContent = true;
+            this.state = 'unquoted';
+          }
+          break;
+      }
+    }
+  }
+
+  // Flush the final record once all input has been pushed
+  finish(onRecord) {
+    if (this.state === 'quoted') {
+      throw new Error(`Unterminated quoted field starting on line ${this.recordStartLine}`);
+    }
+
+    if (this.record.length > 0 || this.fieldHasContent) {
+      this.record.push(this.field);
+      onRecord(this.record, this.recordStartLine);
+    }
+
+    this.reset();
+  }
+
+  endField() {
+    this.record.push(this.field);
+    this.field = '';
+    this.fieldHasContent = false;
+    this.state = 'fieldStart';
+  }
+
+  endRecord(lineBreak, onRecord) {
+    this.record.push(this.field);
+    const record = this.record;
+    const startLine = this.recordStartLine;
+
+    this.field = '';
+    this.record = [];
+    this.fieldHasContent = false;
+    this.state = 'fieldStart';
+    this.skipLineFeed = lineBreak === '\r';
+    this.line++;
+    this.recordStartLine = this.line;
+
+    // Blank lines carry no data
+    if (record.length === 1 && record[0] === '') {
+      return;
+    }
+
+    onRecord(record, startLine);
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CSVParser;
+} else {
+  self.CSVParser = CSVParser;
+}
@@ -5,123 +5,506 @@ class CSVProcessor {
     this.headers = [];
     this.rowCount = 0;
     this.mappings = {};
+    this.suggestionScores = {}; // csvHeader -> { field, score, evidence } for the last suggestions
+    this.learnedMappings = {}; // MappingSynonymStore.headerKey -> field name learned from earlier mappings
+    this.transforms = {}; // Column -> ordered transform steps
+    this.derivedColumns = {}; // Extra column name -> { source: header or null for constants }
+    this.lookups = {}; // Lookup column -> { mode: 'externalId' | 'query', parentObject, matchField }
+    this.lookupResults = {}; // Query lookup column -> { matches: lowercased value -> record IDs }
+    this.recordIds = new Map(); // Row -> ID of an existing record the row updates (duplicate review)
+    this.columnTransforms = new ColumnTransforms();
+    this.fieldsByName = {}; // Target object's field metadata, used to format values by type
+    this.formatOptions = { ...CSVProcessor.DEFAULT_FORMAT_OPTIONS };
+    this.timeZoneFormatters = {};
+    this.parseErrors = [];
+    this.chunkSize = 4 * 1024 * 1024; // 4 MB read chunks
+    this.sampleSize = 64 * 1024; // Bytes used for dialect detection
+    this.dialect = null;
   }
 
-  // Parse CSV file
-  parseCSV(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
+  // Parse any supported file, dispatching on its extension
+  async parseFile(file, options = {}) {
+    const format = CSVProcessor.getFileFormat(file.name);
+    
+    switch (format) {
+      case 'xlsx':
+        return this.parseWorkbook(file, options);
+      case 'json':
+        return this.parseJSON(file);
+      case 'ndjson':
+        return this.parseNDJSON(file, options);
+      case 'delimited':
+        return { ...await this.parseCSV(file, options), format };
+      default:
+        throw new Error(`Unsupported file type: ${file.name}`);
+    }
+  }
+
+  // Parse CSV file, streaming it in chunks so large exports don't block the popup.
+  // The dialect (delimiter, quote, encoding) is sniffed unless one is given.
+  async parseCSV(file, options = {}) {
+    const dialect = options.dialect || await this.detectDialect(file);
+    const builder = this.createRowBuilder();
+    const parser = new CSVParser({ delimiter: dialect.delimiter, quote: dialect.quote });
+    const decoder = new TextDecoder(dialect.encoding);
+    const onRecord = (fields, line) => builder.add(fields, line);
+    
+    try {
+      for (let offset = 0; offset < file.size; offset += this.chunkSize) {
+        const buffer = await file.slice(offset, offset + this.chunkSize).arrayBuffer();
+        parser.push(decoder.decode(buffer, { stream: true }), onRecord);
+        
+        if (options.onProgress) {
+          options.onProgress(Math.min(offset + this.chunkSize, file.size) / file.size);
+        }
+      }
       
-      reader.onload = (e) => {
-        try {
-          const csvText = e.target.result;
-          const parsed = this.parseCSVText(csvText);
-          
-          this.csvData = parsed.data;
-          this.headers = parsed.headers;
-          this.rowCount = parsed.data.length;
-          
-          resolve({
-            headers: this.headers,
-            rowCount: this.rowCount,
-            preview: parsed.data.slice(0, 5) // First 5 rows for preview
-          });
-        } catch (error) {
-          reject(new Error(`CSV parsing failed: ${error.message}`));
+      parser.push(decoder.decode(), onRecord);
+      parser.finish(onRecord);
+    } catch (error) {
+      throw new Error(`CSV parsing failed: ${error.message}`);
+    }
+    
+    this.dialect = dialect;
+    return { ...this.applyParsedData(builder.result()), dialect };
+  }
+
+  // Sniff encoding, delimiter and quote character from the start of the file
+  async detectDialect(file) {
+    const buffer = await file.slice(0, this.sampleSize).arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    const encoding = this.detectEncoding(bytes);
+    const sample = new TextDecoder(encoding).decode(bytes);
+    const quote = this.detectQuote(sample);
+    const delimiter = this.detectDelimiter(sample, quote);
+    
+    return { delimiter, quote, encoding };
+  }
+
+  detectEncoding(bytes) {
+    // Byte order marks are authoritative
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      return 'utf-8';
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      return 'utf-16le';
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      return 'utf-16be';
+    }
+    
+    // Valid UTF-8 (a multi-byte sequence cut off at the sample end is tolerated by stream mode)
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+      return 'utf-8';
+    } catch (error) {
+      // Legacy exports from Excel and most European ERP systems
+      return 'windows-1252';
+    }
+  }
+
+  detectQuote(sample) {
+    // Count quotes that open a field: at line start or right after a candidate delimiter
+    const counts = CSVProcessor.QUOTE_CANDIDATES.map(quote => {
+      const pattern = new RegExp(`(^|[,;\\t|])${quote}`, 'gm');
+      return (sample.match(pattern) || []).length;
+    });
+    
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? CSVProcessor.QUOTE_CANDIDATES[best] : '"';
+  }
+
+  detectDelimiter(sample, quote) {
+    let bestDelimiter = ',';
+    let bestScore = 0;
+    
+    CSVProcessor.DELIMITER_CANDIDATES.forEach(({ value }) => {
+      const fieldCounts = [];
+      const parser = new CSVParser({ delimiter: value, quote });
+      
+      // Only newline-terminated records are emitted, so a truncated tail is never counted
+      parser.push(sample, fields => {
+        if (fieldCounts.length < 50) {
+          fieldCounts.push(fields.length);
         }
-      };
+      });
       
-      reader.onerror = () => {
-        reject(new Error('File reading failed'));
-      };
+      // Score by how many records share the header's field count
+      const headerCount = fieldCounts[0] || 1;
+      if (headerCount < 2) {
+        return;
+      }
+      const consistent = fieldCounts.filter(count => count === headerCount).length;
+      const score = (consistent / fieldCounts.length) * 1000 + headerCount;
       
-      reader.readAsText(file);
+      if (score > bestScore) {
+        bestScore = score;
+        bestDelimiter = value;
+      }
     });
+    
+    return bestDelimiter;
   }
 
-  parseCSVText(csvText) {
-    const lines = csvText.trim().split('\n');
-    if (lines.length === 0) {
-      throw new Error('CSV file is empty');
+  // Human-readable summary of a parsed file's format for the UI
+  describeFormat(parseResult) {
+    switch (parseResult.format) {
+      case 'xlsx':
+        return `Excel workbook, sheet '${parseResult.sheet}'`;
+      case 'json':
+        return 'JSON';
+      case 'ndjson':
+        return 'NDJSON';
+      default:
+        return this.describeDialect(parseResult.dialect);
     }
+  }
 
-    // Parse headers
-    const headers = this.parseCSVLine(lines[0]);
+  // Human-readable summary of a dialect for the UI
+  describeDialect(dialect) {
+    const delimiter = CSVProcessor.DELIMITER_CANDIDATES.find(d => d.value === dialect.delimiter);
+    const quoteLabels = { '"': 'double quote', "'": 'single quote', '': 'no quoting' };
     
-    // Parse data rows
-    const data = [];
-    for (let i = 1; i < lines.length; i++) {
-      if (lines[i].trim()) {
-        const row = this.parseCSVLine(lines[i]);
-        const rowObject = {};
-        
-        headers.forEach((header, index) => {
-          rowObject[header] = row[index] || '';
-        });
-        
-        data.push(rowObject);
+    return `${delimiter ? delimiter.label : dialect.delimiter}, ${quoteLabels[dialect.quote]}, ${dialect.encoding.toUpperCase()}`;
+  }
+
+  // Parse one sheet of an .xlsx workbook (the first sheet unless options.sheet is set)
+  async parseWorkbook(file, options = {}) {
+    const reader = new XLSXReader();
+    let rows;
+    let sheets;
+    
+    try {
+      sheets = await reader.open(file);
+      rows = await reader.readSheet(options.sheet || sheets[0]);
+    } catch (error) {
+      throw new Error(`Workbook parsing failed: ${error.message}`);
+    }
+    
+    // Trailing empty cells are simply absent in sheets, so short rows are expected
+    const builder = this.createRowBuilder({ reportRaggedRows: false });
+    rows.forEach((row, index) => builder.add(row, index + 1));
+    
+    return {
+      ...this.applyParsedData(builder.result()),
+      format: 'xlsx',
+      sheets: sheets,
+      sheet: options.sheet || sheets[0]
+    };
+  }
+
+  // Parse a JSON array of objects (or an object wrapping a single such array)
+  async parseJSON(file) {
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`JSON parsing failed: ${error.message}`);
+    }
+    
+    let records = parsed;
+    if (!Array.isArray(parsed)) {
+      const arrays = parsed && typeof parsed === 'object'
+        ? Object.values(parsed).filter(Array.isArray)
+        : [];
+      records = arrays.length === 1 ? arrays[0] : [parsed];
+    }
+    
+    return {
+      ...this.applyParsedData(this.buildRecordTable(records.map(record => this.flattenRecord(record)))),
+      format: 'json'
+    };
+  }
+
+  // Parse newline-delimited JSON, streaming it line by line
+  async parseNDJSON(file, options = {}) {
+    const decoder = new TextDecoder('utf-8');
+    const records = [];
+    const errors = [];
+    let pending = '';
+    let lineNumber = 0;
+    
+    const parseLine = (line) => {
+      lineNumber++;
+      if (!line.trim()) return;
+      try {
+        records.push(this.flattenRecord(JSON.parse(line)));
+      } catch (error) {
+        errors.push({ row: records.length + 1, line: lineNumber, message: `Invalid JSON: ${error.message}` });
+      }
+    };
+    
+    for (let offset = 0; offset < file.size; offset += this.chunkSize) {
+      const buffer = await file.slice(offset, offset + this.chunkSize).arrayBuffer();
+      const lines = (pending + decoder.decode(buffer, { stream: true })).split('\n');
+      pending = lines.pop();
+      lines.forEach(parseLine);
+      
+      if (options.onProgress) {
+        options.onProgress(Math.min(offset + this.chunkSize, file.size) / file.size);
       }
     }
+    parseLine(pending + decoder.decode());
+    
+    const table = this.buildRecordTable(records);
+    return {
+      ...this.applyParsedData({ ...table, errors }),
+      format: 'ndjson'
+    };
+  }
 
-    return { headers, data };
+  // Flatten nested objects into dotted keys, e.g. { address: { city } } -> 'address.city'
+  flattenRecord(value, prefix = '', target = {}) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.keys(value).forEach(key => {
+        this.flattenRecord(value[key], prefix ? `${prefix}.${key}` : key, target);
+      });
+      return target;
+    }
+    
+    const key = prefix || 'value';
+    if (Array.isArray(value)) {
+      // Lists of scalars become multi-select style values; anything deeper stays JSON
+      const scalars = value.every(item => item === null || typeof item !== 'object');
+      target[key] = scalars ? value.filter(item => item !== null).join(';') : JSON.stringify(value);
+    } else {
+      target[key] = value === null || value === undefined ? '' : String(value);
+    }
+    return target;
   }
 
+  // Turn flattened records into the same { headers, data } shape the CSV parser produces
+  buildRecordTable(records) {
+    if (records.length === 0) {
+      throw new Error('File contains no records');
+    }
+    
+    const headerSet = new Set();
+    records.forEach(record => Object.keys(record).forEach(key => headerSet.add(key)));
+    const headers = [...headerSet];
+    
+    const data = records.map(record => {
+      const row = {};
+      headers.forEach(header => {
+        row[header] = record[header] !== undefined ? record[header] : '';
+      });
+      return row;
+    });
+    
+    return { headers, data, errors: [] };
+  }
+
+  parseCSVText(csvText) {
+    const builder = this.createRowBuilder();
+    const parser = new CSVParser();
+    const onRecord = (fields, line) => builder.add(fields, line);
+    
+    parser.push(csvText, onRecord);
+    parser.finish(onRecord);
+    
+    return builder.result();
+  }
+
+  // Parse a single CSV record
   parseCSVLine(line) {
-    const result = [];
-    let inQuotes = false;
-    let currentField = '';
+    const records = [];
+    const parser = new CSVParser();
+    parser.push(line, fields => records.push(fields));
+    parser.finish(fields => records.push(fields));
+    return records[0] || [''];
+  }
+
+  // Collects parsed records into row objects keyed by header
+  createRowBuilder(options = {}) {
+    const reportRaggedRows = options.reportRaggedRows !== false;
+    let headers = null;
+    const data = [];
+    const errors = [];
     
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
+    return {
+      add(fields, line) {
+        if (!headers) {
+          headers = fields.map((header, index) => header.trim() || `Column ${index + 1}`);
+          return;
+        }
+        
+        // Ragged rows are kept (padded or truncated) but reported
+        if (reportRaggedRows && fields.length !== headers.length) {
+          errors.push({
+            row: data.length + 1,
+            line: line,
+            message: `Expected ${headers.length} fields but found ${fields.length}`
+          });
+        }
+        
+        const rowObject = {};
+        headers.forEach((header, index) => {
+          rowObject[header] = fields[index] !== undefined ? fields[index] : '';
+        });
+        data.push(rowObject);
+      },
       
-      if (char === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          // Escaped quote
-          currentField += '"';
-          i++; // Skip next quote
-        } else {
-          // Toggle quote state
-          inQuotes = !inQuotes;
+      result() {
+        if (!headers) {
+          throw new Error('CSV file is empty');
         }
-      } else if (char === ',' && !inQuotes) {
-        // Field delimiter
-        result.push(currentField.trim());
-        currentField = '';
-      } else {
-        currentField += char;
+        return { headers, data, errors };
       }
-    }
+    };
+  }
+
+  applyParsedData(parsed) {
+    this.csvData = parsed.data;
+    this.headers = parsed.headers;
+    this.rowCount = parsed.data.length;
+    this.parseErrors = parsed.errors;
     
-    result.push(currentField.trim());
-    return result;
+    return {
+      headers: this.headers,
+      rowCount: this.rowCount,
+      errors: this.parseErrors,
+      preview: parsed.data.slice(0, 5) // First 5 rows for preview
+    };
   }
 
-  // Generate field mapping suggestions
+  // Generate field mapping suggestions from header names, field metadata and sample values.
+  // The confidence behind each suggestion is kept in this.suggestionScores.
   generateMappingSuggestions(csvHeaders, salesforceFields) {
     const suggestions = {};
+    this.suggestionScores = {};
     
     csvHeaders.forEach(csvHeader => {
-      const normalizedCsvHeader = this.normalizeFieldName(csvHeader);
+      const profile = this.profileColumnValues(csvHeader);
       let bestMatch = null;
       let bestScore = 0;
+      let bestEvidence = [];
       
       salesforceFields.forEach(sfField => {
-        const score = this.calculateFieldMatchScore(normalizedCsvHeader, sfField);
+        const nameScore = this.calculateFieldMatchScore(csvHeader, sfField);
+        const valueMatch = this.calculateValueMatchScore(profile, sfField);
+        const score = Math.max(0, Math.min(1, nameScore + valueMatch.adjustment));
         if (score > bestScore) {
           bestScore = score;
           bestMatch = sfField;
+          bestEvidence = [
+            ...(nameScore > 0 ? [`name ${Math.round(nameScore * 100)}%`] : []),
+            ...valueMatch.evidence
+          ];
         }
       });
       
       // Only suggest if confidence is high enough
       if (bestScore > 0.6) {
         suggestions[csvHeader] = bestMatch.name;
+        this.suggestionScores[csvHeader] = {
+          field: bestMatch.name,
+          score: bestScore,
+          evidence: bestEvidence
+        };
       }
     });
     
     return suggestions;
   }
 
+  // Classify a sample of a column's values (email, id, number, ...) for type-aware matching
+  profileColumnValues(csvHeader) {
+    const values = (this.csvData || [])
+      .slice(0, CSVProcessor.PROFILE_SAMPLE_ROWS)
+      .map(row => (row[csvHeader] || '').trim())
+      .filter(value => value !== '');
+    
+    const profile = { count: values.length, kind: null, distinct: [...new Set(values)] };
+    if (values.length === 0) {
+      return profile;
+    }
+    
+    // The first kind that most of the sample agrees on wins; order resolves overlaps like 0/1
+    for (const [kind, pattern] of Object.entries(CSVProcessor.VALUE_PATTERNS)) {
+      const matches = values.filter(value => pattern.test(value)).length;
+      if (matches / values.length >= TypeInference.DEFAULT_OPTIONS.agreement) {
+        profile.kind = kind;
+        break;
+      }
+    }
+    
+    return profile;
+  }
+
+  // Score adjustment from how well sample values fit a field's type or picklist values
+  calculateValueMatchScore(profile, sfField) {
+    const noEvidence = { adjustment: 0, evidence: [] };
+    if (profile.count === 0) {
+      return noEvidence;
+    }
+    
+    if (sfField.type === 'picklist' || sfField.type === 'multipicklist') {
+      const picklistValues = new Set(
+        (sfField.picklistValues || [])
+          .filter(entry => entry.active !== false)
+          .flatMap(entry => [entry.value, entry.label])
+          .filter(Boolean)
+          .map(value => value.toLowerCase())
+      );
+      if (picklistValues.size === 0) {
+        return noEvidence;
+      }
+      
+      const sampleValues = sfField.type === 'multipicklist'
+        ? [...new Set(profile.distinct.flatMap(value => value.split(';').map(part => part.trim())))]
+        : profile.distinct;
+      const matched = sampleValues.filter(value => picklistValues.has(value.toLowerCase())).length;
+      const share = matched / sampleValues.length;
+      
+      return {
+        adjustment: share >= 0.5 ? 0.3 * share : -0.1,
+        evidence: [`${matched}/${sampleValues.length} picklist values`]
+      };
+    }
+    
+    if (!profile.kind) {
+      return noEvidence;
+    }
+    
+    const fieldType = (sfField.type || '').toLowerCase();
+    if (CSVProcessor.VALUE_KIND_FIELD_TYPES[profile.kind].includes(fieldType)) {
+      return {
+        adjustment: CSVProcessor.DISTINCTIVE_VALUE_KINDS.includes(profile.kind) ? 0.15 : 0.1,
+        evidence: [`${profile.kind} values`]
+      };
+    }
+    
+    // Text fields can hold anything; other types would reject these values
+    if (CSVProcessor.TEXT_FIELD_TYPES.includes(fieldType)) {
+      return noEvidence;
+    }
+    return { adjustment: -0.3, evidence: [`${profile.kind} values do not fit ${fieldType}`] };
+  }
+
+  // Field metadata of the target object; values are formatted for the type of the mapped field
+  setObjectFields(fields) {
+    this.fieldsByName = {};
+    fields.forEach(field => {
+      this.fieldsByName[field.name] = field;
+    });
+  }
+
+  setFormatOptions(options) {
+    this.formatOptions = { ...CSVProcessor.DEFAULT_FORMAT_OPTIONS, ...options };
+  }
+
+  getFormatOptions() {
+    return { ...this.formatOptions };
+  }
+
+  // Use header -> field pairs learned for this org and object in later suggestions
+  setLearnedMappings(learned) {
+    this.learnedMappings = {};
+    Object.entries(learned).forEach(([header, fieldName]) => {
+      this.learnedMappings[MappingSynonymStore.headerKey(header)] = fieldName;
+    });
+  }
+
   normalizeFieldName(fieldName) {
     return fieldName
       .toLowerCase()
@@ -134,6 +517,12 @@ class CSVProcessor {
     const sfNormalized = this.normalizeFieldName(sfField.name);
     const sfLabelNormalized = this.normalizeFieldName(sfField.label);
     
+    // Mappings learned in this org win over name matching and the built-in patterns
+    const learnedField = this.learnedMappings[MappingSynonymStore.headerKey(csvField)];
+    if (learnedField) {
+      return learnedField === sfField.name ? 1.0 : 0;
+    }
+    
     // Exact match
     if (csvNormalized === sfNormalized || csvNormalized === sfLabelNormalized) {
       return 1.0;
@@ -190,18 +579,226 @@ class CSVProcessor {
     return { ...this.mappings };
   }
 
-  // Validate mappings
-  validateMappings(salesforceFields) {
+  // Drop mappings together with the transforms and derived columns that belong to them
+  clearMappings() {
+    this.mappings = {};
+    this.transforms = {};
+    this.derivedColumns = {};
+    this.lookups = {};
+    this.lookupResults = {};
+    this.recordIds = new Map();
+  }
+
+  // Map another processor's rows to a second object: rows, derived columns, transforms and
+  // format options are shared, while mappings and lookups stay separate
+  shareDataFrom(source) {
+    this.csvData = source.csvData;
+    this.headers = source.headers;
+    this.rowCount = source.rowCount;
+    this.derivedColumns = source.derivedColumns;
+    this.transforms = source.transforms;
+    this.setFormatOptions(source.getFormatOptions());
+  }
+
+  // File headers followed by derived columns, in mapping UI order
+  getColumns() {
+    return [...this.headers, ...Object.keys(this.derivedColumns)];
+  }
+
+  // Add a column that copies another one (to map it to a second field) or holds a constant
+  addDerivedColumn(source = null) {
+    const base = source ? `${source} (copy)` : 'Constant';
+    let name = base;
+    for (let n = 2; this.headers.includes(name) || this.derivedColumns[name]; n++) {
+      name = `${base} ${n}`;
+    }
+    
+    this.derivedColumns[name] = { source };
+    if (!source) {
+      this.transforms[name] = [{ type: 'constant', value: '' }];
+    }
+    return name;
+  }
+
+  removeDerivedColumn(name) {
+    delete this.derivedColumns[name];
+    delete this.mappings[name];
+    delete this.transforms[name];
+    delete this.lookups[name];
+  }
+
+  setTransforms(column, steps) {
+    if (steps && steps.length > 0) {
+      this.transforms[column] = steps;
+    } else {
+      delete this.transforms[column];
+    }
+  }
+
+  getTransforms() {
+    return JSON.parse(JSON.stringify(this.transforms));
+  }
+
+  getDerivedColumns() {
+    return JSON.parse(JSON.stringify(this.derivedColumns));
+  }
+
+  // Restore transforms and derived columns saved with a template, skipping ones whose source is missing
+  applyTransformConfig(transforms = {}, derivedColumns = {}) {
+    Object.entries(derivedColumns).forEach(([name, column]) => {
+      if (!column.source || this.headers.includes(column.source)) {
+        this.derivedColumns[name] = { source: column.source || null };
+      }
+    });
+    
+    const columns = new Set(this.getColumns());
+    Object.entries(transforms).forEach(([column, steps]) => {
+      if (columns.has(column)) {
+        this.transforms[column] = steps;
+      }
+    });
+  }
+
+  // Match a lookup column by a parent field instead of a record ID; null goes back to IDs
+  setLookup(column, lookup) {
+    if (lookup) {
+      this.lookups[column] = lookup;
+    } else {
+      delete this.lookups[column];
+    }
+    delete this.lookupResults[column];
+  }
+
+  getLookups() {
+    return JSON.parse(JSON.stringify(this.lookups));
+  }
+
+  // Restore lookups saved with a template for columns that still exist
+  applyLookups(lookups = {}) {
+    const columns = new Set(this.getColumns());
+    Object.entries(lookups).forEach(([column, lookup]) => {
+      if (columns.has(column)) {
+        this.lookups[column] = lookup;
+      }
+    });
+  }
+
+  // Header sent for a column: external ID lookups use the relationship syntax, e.g. Account.External_Id__c
+  getOutputHeader(column) {
+    const lookup = this.lookups[column];
+    const field = this.fieldsByName[this.mappings[column]];
+    
+    if (lookup && lookup.mode === 'externalId' && field && field.relationshipName) {
+      return `${field.relationshipName}.${lookup.matchField}`;
+    }
+    return this.mappings[column];
+  }
+
+  // Mapped headers, plus Id when some rows update existing records
+  getOutputHeaders() {
+    const headers = Object.keys(this.mappings).map(column => this.getOutputHeader(column));
+    return this.recordIds.size > 0 ? [...headers, 'Id'] : headers;
+  }
+
+  // Row indexes -> existing record IDs; those rows update the record instead of inserting
+  setRecordIds(recordIds) {
+    this.recordIds = new Map();
+    recordIds.forEach((id, index) => this.recordIds.set(this.csvData[index], id));
+  }
+
+  // Values sent for a row, in getOutputHeaders order
+  getOutputValues(row) {
+    const values = Object.keys(this.mappings).map(column => this.getOutputValue(row, column));
+    return this.recordIds.size > 0 ? [...values, this.recordIds.get(row) || ''] : values;
+  }
+
+  // Final value sent for a column: transformed, then either resolved as a lookup or formatted by type
+  getOutputValue(row, column) {
+    const value = this.getTransformedValue(row, column);
+    const lookup = this.lookups[column];
+    
+    if (!lookup) {
+      return this.formatValue(value, this.fieldsByName[this.mappings[column]]);
+    }
+    
+    const key = value.trim();
+    if (key === '' || lookup.mode === 'externalId') {
+      return key;
+    }
+    
+    const results = this.lookupResults[column];
+    if (!results) {
+      throw new Error(`${lookup.parentObject} lookups have not been resolved`);
+    }
+    
+    const ids = results.matches[key.toLowerCase()] || [];
+    if (ids.length === 0) {
+      throw new Error(`No ${lookup.parentObject} found with ${lookup.matchField} '${key}'`);
+    }
+    if (ids.length > 1) {
+      throw new Error(`${ids.length} ${lookup.parentObject} records have ${lookup.matchField} '${key}'`);
+    }
+    return ids[0];
+  }
+
+  // Value of a column in a row after its transform pipeline
+  getTransformedValue(row, column) {
+    const derived = this.derivedColumns[column];
+    const raw = derived ? (derived.source ? row[derived.source] : '') : row[column];
+    return this.columnTransforms.apply(raw || '', this.transforms[column], row);
+  }
+
+  // Raw and transformed values of the first rows, for the live preview
+  previewColumn(column, steps, count = 5) {
+    const derived = this.derivedColumns[column];
+    const source = derived ? derived.source : column;
+    
+    return (this.csvData || []).slice(0, count).map(row => {
+      const raw = source ? (row[source] || '') : '';
+      try {
+        return { raw, value: this.columnTransforms.apply(raw, steps, row), error: null };
+      } catch (error) {
+        return { raw, value: '', error: error.message };
+      }
+    });
+  }
+
+  // Validate mappings for the given Bulk API operation
+  validateMappings(salesforceFields, operation = 'insert', externalIdField = null) {
     const errors = [];
-    const requiredFields = salesforceFields.filter(field => field.required);
     const mappedSfFields = Object.values(this.mappings);
     
-    // Check for required fields
-    requiredFields.forEach(field => {
-      if (!mappedSfFields.includes(field.name)) {
-        errors.push(`Required field '${field.label}' is not mapped`);
+    if (operation === 'insert' || operation === 'upsert') {
+      // Records may be created, so required fields must be present
+      const requiredFields = salesforceFields.filter(field => field.required && field.createable);
+      requiredFields.forEach(field => {
+        if (!mappedSfFields.includes(field.name)) {
+          errors.push(`Required field '${field.label}' is not mapped`);
+        }
+      });
+    }
+    
+    if (operation === 'upsert') {
+      if (!externalIdField) {
+        errors.push('Select an external ID field for upsert');
+      } else if (!mappedSfFields.includes(externalIdField)) {
+        errors.push(`External ID field '${externalIdField}' is not mapped`);
       }
-    });
+    }
+    
+    if (operation === 'update' || operation === 'delete' || operation === 'hardDelete') {
+      if (!mappedSfFields.includes('Id')) {
+        errors.push(`The 'Id' field must be mapped for ${operation}`);
+      }
+    }
+    
+    if (operation === 'delete' || operation === 'hardDelete') {
+      // Delete jobs accept only the record Id column
+      const extraFields = mappedSfFields.filter(field => field !== 'Id');
+      if (extraFields.length > 0) {
+        errors.push(`Only 'Id' can be mapped for ${operation}; unmap: ${extraFields.join(', ')}`);
+      }
+    }
     
     // Check for duplicate mappings
     const duplicates = mappedSfFields.filter((field, index) => 
@@ -217,73 +814,303 @@ class CSVProcessor {
 
   // Generate CSV for upload based on mappings
   generateMappedCSV() {
+    const [batch] = this.generateMappedCSVBatches({ maxRows: Infinity, maxBytes: Infinity });
+    return batch.csv;
+  }
+
+  // Split the mapped data into CSV chunks that each fit within one Bulk API job.
+  // Every chunk repeats the header line and records the data rows it covers;
+  // rows in excludeRows (indexes into csvData) are left out.
+  generateMappedCSVBatches({ maxRows, maxBytes, excludeRows = null }) {
     if (!this.csvData || Object.keys(this.mappings).length === 0) {
       throw new Error('No data or mappings available');
     }
     
-    const mappedHeaders = Object.values(this.mappings);
-    const csvLines = [mappedHeaders.join(',')];
+    const rowIndexes = this.csvData.map((row, index) => index)
+      .filter(index => !excludeRows || !excludeRows.has(index));
+    
+    const headerLine = this.getOutputHeaders().join(',');
+    return this.buildCSVBatches(headerLine, rowIndexes.length, position => {
+      const index = rowIndexes[position];
+      try {
+        return this.formatMappedRow(this.csvData[index]);
+      } catch (error) {
+        throw new Error(`Row ${index + 1}: ${error.message}`);
+      }
+    }, { maxRows, maxBytes });
+  }
+
+  // Core batching: getLine(index) returns a ready-to-send CSV line for each data row
+  buildCSVBatches(headerLine, rowCount, getLine, { maxRows, maxBytes }) {
+    const headerBytes = this.utf8ByteLength(headerLine) + 1;
+    const batches = [];
+    let lines = [headerLine];
+    let bytes = headerBytes;
+    let startRow = 0;
     
-    this.csvData.forEach(row => {
-      const mappedRow = [];
+    const flush = (endRow) => {
+      batches.push({ csv: lines.join('\n'), startRow, rowCount: endRow - startRow });
+      lines = [headerLine];
+      bytes = headerBytes;
+      startRow = endRow;
+    };
+    
+    for (let index = 0; index < rowCount; index++) {
+      const line = getLine(index);
+      const lineBytes = this.utf8ByteLength(line) + 1;
       
-      Object.entries(this.mappings).forEach(([csvField, sfField]) => {
-        let value = row[csvField] || '';
-        
-        // Clean and format the value
-        value = this.formatValue(value);
-        
-        // Escape quotes and wrap in quotes if contains comma or quote
-        if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-          value = '"' + value.replace(/"/g, '""') + '"';
-        }
-        
-        mappedRow.push(value);
-      });
+      if (lineBytes + headerBytes > maxBytes) {
+        throw new Error(`Row ${index + 1} is larger than the maximum upload size`);
+      }
+      
+      const rowsInBatch = lines.length - 1;
+      if (rowsInBatch > 0 && (rowsInBatch >= maxRows || bytes + lineBytes > maxBytes)) {
+        flush(index);
+      }
+      
+      lines.push(line);
+      bytes += lineBytes;
+    }
+    
+    flush(rowCount);
+    return batches;
+  }
+
+  formatMappedRow(row) {
+    // Each column's transforms run first, then lookups are resolved or values formatted by type
+    return this.getOutputValues(row).map(value => this.escapeCSVValue(value)).join(',');
+  }
+
+  // Same values as formatMappedRow, as an sObject for the REST API. Empty values are left
+  // out, matching the Bulk API where an empty cell does not change the field.
+  buildRecord(row, objectName) {
+    const record = { attributes: { type: objectName } };
+    
+    Object.entries(this.mappings).forEach(([csvField, fieldName]) => {
+      const field = this.fieldsByName[fieldName];
+      const value = this.getOutputValue(row, csvField);
+      if (value === '') return;
       
-      csvLines.push(mappedRow.join(','));
+      // External ID lookups become a nested parent reference
+      const lookup = this.lookups[csvField];
+      if (lookup && lookup.mode === 'externalId' && field && field.relationshipName) {
+        record[field.relationshipName] = { attributes: { type: lookup.parentObject }, [lookup.matchField]: value };
+        return;
+      }
+      
+      const type = field ? field.type : null;
+      if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        record[fieldName] = value === 'true';
+      } else if (['double', 'currency', 'percent', 'int', 'long'].includes(type) && !isNaN(Number(value))) {
+        record[fieldName] = Number(value);
+      } else {
+        record[fieldName] = value;
+      }
     });
     
-    return csvLines.join('\n');
+    return record;
+  }
+
+  // Escape quotes and wrap in quotes if the value contains a delimiter, quote or line break
+  escapeCSVValue(value) {
+    if (value.includes(',') || value.includes('"') || value.includes('\n') || value.includes('\r')) {
+      return '"' + value.replace(/"/g, '""') + '"';
+    }
+    return value;
   }
 
-  formatValue(value) {
+  // UTF-8 size of a string without allocating an encoded copy
+  utf8ByteLength(text) {
+    let bytes = 0;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      if (code < 0x80) {
+        bytes += 1;
+      } else if (code < 0x800) {
+        bytes += 2;
+      } else if (code >= 0xD800 && code <= 0xDBFF) {
+        bytes += 4; // Surrogate pair
+        i++;
+      } else {
+        bytes += 3;
+      }
+    }
+    return bytes;
+  }
+
+  // Format a value for the Bulk API according to the target field's type. Text fields
+  // and fields without metadata are sent as-is; values that cannot be converted are
+  // passed through trimmed so Salesforce reports them per record.
+  formatValue(value, field = null) {
     if (typeof value !== 'string') {
       value = String(value);
     }
     
-    // Trim whitespace
-    value = value.trim();
+    const type = field ? field.type : null;
+    if (!type || CSVProcessor.TEXT_FIELD_TYPES.includes(type)) {
+      return value;
+    }
     
-    // Handle common data formatting
-    // Email validation and normalization
-    if (value.includes('@')) {
-      value = value.toLowerCase();
+    const trimmed = value.trim();
+    if (trimmed === '') {
+      return trimmed;
     }
     
-    // Phone number normalization (basic)
-    if (/^[\d\s\-\(\)\.+]+$/.test(value) && value.length >= 10) {
-      value = value.replace(/[^\d+]/g, '');
+    switch (type) {
+      case 'boolean':
+        return this.formatBoolean(trimmed);
+      case 'date':
+        return this.formatDate(trimmed);
+      case 'datetime':
+        return this.formatDateTime(trimmed);
+      case 'currency':
+      case 'percent':
+      case 'double':
+      case 'int':
+      case 'long':
+        return this.formatNumber(trimmed);
+      default:
+        return trimmed;
     }
+  }
+
+  formatBoolean(value) {
+    const normalized = value.toLowerCase();
+    if (CSVProcessor.TRUE_VALUES.includes(normalized)) return 'true';
+    if (CSVProcessor.FALSE_VALUES.includes(normalized)) return 'false';
+    return value;
+  }
+
+  // Date fields take YYYY-MM-DD
+  formatDate(value) {
+    const parts = this.parseDateValue(value, { dropTime: true });
+    if (!parts) return value;
     
-    // Boolean conversion
-    if (['true', 'false', 'yes', 'no', '1', '0'].includes(value.toLowerCase())) {
-      const booleanMap = {
-        'true': 'true',
-        'yes': 'true',
-        '1': 'true',
-        'false': 'false',
-        'no': 'false',
-        '0': 'false'
-      };
-      value = booleanMap[value.toLowerCase()];
+    if (parts.instant) {
+      // Already carries a zone; use the calendar date in the source timezone
+      return this.toZonedParts(parts.instant, this.getTimeZone()).date;
     }
+    return ColumnTransforms.formatDate(parts, 'YYYY-MM-DD');
+  }
+
+  // Datetime fields take an ISO 8601 instant; wall-clock values are read in the source timezone
+  formatDateTime(value) {
+    const parts = this.parseDateValue(value);
+    if (!parts) return value;
     
-    return value;
+    const instant = parts.instant || this.zonedTimeToUtc(parts, this.getTimeZone());
+    return instant.toISOString();
+  }
+
+  // Parse with the configured source format, or ISO 8601 when it is 'auto'. A time the
+  // format cannot read is only ignored with dropTime, for date fields
+  parseDateValue(value, { dropTime = false } = {}) {
+    const { dateFormat } = this.formatOptions;
+    
+    if (!dateFormat || dateFormat === 'auto') {
+      if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+        const instant = new Date(value);
+        return isNaN(instant.getTime()) ? null : { instant };
+      }
+      for (const format of CSVProcessor.ISO_DATE_FORMATS) {
+        const parts = ColumnTransforms.parseDate(value.replace(/\.\d+$/, ''), format);
+        if (parts) return parts;
+      }
+      return null;
+    }
+    
+    // Values may carry more or less of the time than the format
+    const dateOnlyFormat = dateFormat.split(/[T\s]/)[0];
+    const formats = [
+      dateFormat,
+      ...CSVProcessor.TIME_SUFFIXES.map(suffix => dateOnlyFormat + suffix),
+      dateOnlyFormat
+    ];
+    for (const format of formats) {
+      const parts = ColumnTransforms.parseDate(value, format);
+      if (parts) return parts;
+    }
+    return dropTime ? ColumnTransforms.parseDate(value.split(/[T\s]/)[0], dateOnlyFormat) : null;
+  }
+
+  getTimeZone() {
+    const { timeZone } = this.formatOptions;
+    return timeZone === 'local' ? Intl.DateTimeFormat().resolvedOptions().timeZone : (timeZone || 'UTC');
+  }
+
+  // Convert wall-clock parts in timeZone to a Date, re-checking the offset across DST changes
+  zonedTimeToUtc(parts, timeZone) {
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    if (timeZone === 'UTC') {
+      return new Date(wallClock);
+    }
+    
+    const firstGuess = wallClock - this.getTimeZoneOffset(wallClock, timeZone);
+    return new Date(wallClock - this.getTimeZoneOffset(firstGuess, timeZone));
+  }
+
+  // Milliseconds timeZone is ahead of UTC at the given instant
+  getTimeZoneOffset(timestamp, timeZone) {
+    const parts = this.toZonedParts(new Date(timestamp), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) -
+      Math.floor(timestamp / 1000) * 1000;
+  }
+
+  toZonedParts(date, timeZone) {
+    if (!this.timeZoneFormatters[timeZone]) {
+      this.timeZoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    }
+    
+    const values = {};
+    this.timeZoneFormatters[timeZone].formatToParts(date).forEach(({ type, value }) => {
+      values[type] = parseInt(value, 10);
+    });
+    const parts = {
+      year: values.year,
+      month: values.month,
+      day: values.day,
+      hour: values.hour,
+      minute: values.minute,
+      second: values.second
+    };
+    parts.date = ColumnTransforms.formatDate(parts, 'YYYY-MM-DD');
+    return parts;
+  }
+
+  // Strip currency symbols, codes and thousands separators, and use '.' for decimals
+  formatNumber(value) {
+    const { decimalSeparator } = this.formatOptions;
+    let text = value;
+    
+    const negative = /^\(.*\)$/.test(text);
+    if (negative) {
+      text = text.slice(1, -1);
+    }
+    
+    text = text
+      .replace(/^[A-Z]{3}\s*|\s*[A-Z]{3}$/, '')
+      .replace(/[\p{Sc}%\s\u00a0']/gu, '');
+    text = decimalSeparator === ','
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text.replace(/,/g, '');
+    
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) {
+      return value;
+    }
+    return negative ? `-${text.replace(/^[-+]/, '')}` : text;
   }
 
   // Suggest new fields that need to be created
-  suggestNewFields(csvHeaders, salesforceFields) {
+  suggestNewFields(csvHeaders, salesforceFields, inferenceOptions = {}) {
     const existingFieldNames = salesforceFields.map(f => f.name.toLowerCase());
     const unmappedHeaders = csvHeaders.filter(header => 
       !Object.keys(this.mappings).includes(header)
@@ -292,7 +1119,7 @@ class CSVProcessor {
     const suggestions = [];
     
     unmappedHeaders.forEach(header => {
-      const suggestion = this.generateFieldSuggestion(header);
+      const suggestion = this.generateFieldSuggestion(header, inferenceOptions);
       
       // Check if field doesn't already exist
       if (!existingFieldNames.includes(suggestion.developerName.toLowerCase())) {
@@ -303,7 +1130,7 @@ class CSVProcessor {
     return suggestions;
   }
 
-  generateFieldSuggestion(csvHeader) {
+  generateFieldSuggestion(csvHeader, inferenceOptions = {}) {
     // Clean the header name for developer name
     let developerName = csvHeader
       .replace(/[^a-zA-Z0-9\s]/g, '')
@@ -315,6 +1142,9 @@ class CSVProcessor {
       developerName = 'X' + developerName;
     }
     
+    // Salesforce allows 40 characters before the suffix
+    developerName = developerName.slice(0, 40).replace(/_+$/, '');
+    
     // Add __c suffix for custom fields
     if (!developerName.endsWith('__c')) {
       developerName += '__c';
@@ -323,10 +1153,12 @@ class CSVProcessor {
     // Generate label (more user-friendly)
     const label = csvHeader
       .replace(/[_-]/g, ' ')
-      .replace(/\b\w/g, l => l.toUpperCase());
+      .replace(/\b\w/g, l => l.toUpperCase())
+      .slice(0, 40)
+      .trim();
     
-    // Determine field type based on sample data
-    const fieldType = this.determineFieldType(csvHeader);
+    // Determine field type from the column's values
+    const fieldType = this.determineFieldType(csvHeader, inferenceOptions);
     
     return {
       csvHeader: csvHeader,
@@ -334,82 +1166,78 @@ class CSVProcessor {
       label: label,
       type: fieldType.type,
       length: fieldType.length,
-      required: false
+      precision: fieldType.precision || null,
+      scale: fieldType.scale || 0,
+      visibleLines: fieldType.type === 'LongTextArea' ? 5 : null,
+      picklistValues: ['Picklist', 'MultiselectPicklist'].includes(fieldType.type)
+        ? this.getPicklistValues(csvHeader, fieldType.type === 'MultiselectPicklist')
+        : [],
+      keyPrefix: fieldType.keyPrefix || null,
+      referenceTo: null,
+      separator: fieldType.separator || null,
+      helpText: '',
+      required: false,
+      evidence: {
+        ...this.getColumnEvidence(csvHeader),
+        type: fieldType.type,
+        share: fieldType.share,
+        candidates: fieldType.candidates,
+        mismatches: fieldType.mismatches,
+        sampled: fieldType.sampled
+      }
     };
   }
 
-  determineFieldType(csvHeader) {
-    if (!this.csvData || this.csvData.length === 0) {
-      return { type: 'Text', length: 255 };
-    }
-    
-    // Sample values from this column
-    const sampleValues = this.csvData
-      .slice(0, 20) // Check first 20 rows
-      .map(row => row[csvHeader])
-      .filter(val => val && val.trim() !== '');
-    
-    if (sampleValues.length === 0) {
-      return { type: 'Text', length: 255 };
-    }
-    
-    // Check for email
-    if (sampleValues.some(val => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(val))) {
-      return { type: 'Email', length: null };
-    }
-    
-    // Check for phone
-    if (sampleValues.some(val => /^[\d\s\-\(\)\.+]{10,}$/.test(val))) {
-      return { type: 'Phone', length: null };
-    }
-    
-    // Check for URL
-    if (sampleValues.some(val => /^https?:\/\//.test(val))) {
-      return { type: 'Url', length: null };
-    }
-    
-    // Check for boolean
-    const booleanValues = ['true', 'false', 'yes', 'no', '1', '0'];
-    if (sampleValues.every(val => booleanValues.includes(val.toLowerCase()))) {
-      return { type: 'Checkbox', length: null };
-    }
+  // A few distinct values of a column and its longest value, shown with a suggested type
+  getColumnEvidence(csvHeader) {
+    const samples = new Set();
+    let maxLength = 0;
     
-    // Check for number
-    if (sampleValues.every(val => !isNaN(val) && !isNaN(parseFloat(val)))) {
-      const hasDecimals = sampleValues.some(val => val.includes('.'));
-      if (hasDecimals) {
-        return { type: 'Number', length: null, precision: 18, scale: 2 };
-      } else {
-        return { type: 'Number', length: null, precision: 18, scale: 0 };
+    (this.csvData || []).forEach(row => {
+      const value = (row[csvHeader] || '').trim();
+      if (value === '') return;
+      maxLength = Math.max(maxLength, value.length);
+      if (samples.size < CSVProcessor.EVIDENCE_SAMPLES) {
+        samples.add(value);
       }
-    }
-    
-    // Check for date
-    if (sampleValues.some(val => !isNaN(Date.parse(val)))) {
-      return { type: 'Date', length: null };
-    }
+    });
     
-    // Default to text, determine length based on content
-    const maxLength = Math.max(...sampleValues.map(val => val.length));
-    let textLength = 255;
+    return { samples: [...samples], maxLength };
+  }
+
+  // Distinct values of a column in first-seen order, for picklist fields.
+  // Multi-select values are split on semicolons
+  getPicklistValues(csvHeader, multiSelect = false) {
+    const values = new Map(); // Lowercase -> first spelling seen, as picklist values ignore case
     
-    if (maxLength > 255) {
-      if (maxLength <= 32768) {
-        return { type: 'LongTextArea', length: 32768 };
-      } else {
-        return { type: 'LongTextArea', length: 131072 };
-      }
-    } else if (maxLength > 80) {
-      textLength = 255;
-    } else {
-      textLength = 80;
+    for (const row of this.csvData || []) {
+      const value = (row[csvHeader] || '').trim();
+      const parts = multiSelect ? value.split(';').map(part => part.trim()) : [value];
+      parts.filter(part => part !== '').forEach(part => {
+        const key = part.toLowerCase();
+        if (!values.has(key)) {
+          values.set(key, part.slice(0, CSVProcessor.PICKLIST_VALUE_LENGTH));
+        }
+      });
+      if (values.size >= CSVProcessor.PICKLIST_VALUE_LIMIT) break;
     }
     
-    return { type: 'Text', length: textLength };
+    return [...values.values()].slice(0, CSVProcessor.PICKLIST_VALUE_LIMIT);
   }
 
-  // Get statistics about the CSV data
-  getDataStatistics() {
+  // Whole-column inference (see TypeInference); options override the agreement share and sample size
+  determineFieldType(csvHeader, options = {}) {
+    const inference = new TypeInference({
+      decimalSeparator: this.formatOptions.decimalSeparator,
+      ...options
+    });
+    return inference.inferColumn(this.csvData || [], csvHeader);
+  }
+
+  // Get statistics about the CSV data: per column fill, distinct and top values, range,
+  // inferred type and suspicious values; for the file, empty and duplicate rows.
+  // options go to TypeInference
+  getDataStatistics(options = {}) {
     if (!this.csvData) {
       return null;
     }
@@ -418,6 +1246,8 @@ class CSVProcessor {
       totalRows: this.rowCount,
       totalColumns: this.headers.length,
       emptyRows: 0,
+      duplicateRows: 0,
+      duplicateRowNumbers: [],
       columnStats: {}
     };
     
@@ -426,47 +1256,217 @@ class CSVProcessor {
       stats.columnStats[header] = {
         nonEmpty: 0,
         empty: 0,
-        unique: new Set(),
-        maxLength: 0
+        unique: new Map(), // Value -> count
+        maxLength: 0,
+        whitespace: 0,
+        nonPrintable: 0,
+        examples: { whitespace: [], nonPrintable: [] }
       };
     });
     
+    const seenRows = new Set();
+    
     // Analyze data
-    this.csvData.forEach(row => {
+    this.csvData.forEach((row, index) => {
       let isEmpty = true;
       
       this.headers.forEach(header => {
+        const column = stats.columnStats[header];
         const value = row[header] || '';
         const trimmedValue = value.trim();
         
         if (trimmedValue) {
           isEmpty = false;
-          stats.columnStats[header].nonEmpty++;
-          stats.columnStats[header].unique.add(trimmedValue);
-          stats.columnStats[header].maxLength = Math.max(
-            stats.columnStats[header].maxLength,
-            trimmedValue.length
-          );
+          column.nonEmpty++;
+          column.unique.set(trimmedValue, (column.unique.get(trimmedValue) || 0) + 1);
+          column.maxLength = Math.max(column.maxLength, trimmedValue.length);
+          
+          if (value !== trimmedValue) {
+            this.countSuspicious(column, 'whitespace', index);
+          }
+          if (CSVProcessor.NON_PRINTABLE_PATTERN.test(value)) {
+            this.countSuspicious(column, 'nonPrintable', index);
+          }
         } else {
-          stats.columnStats[header].empty++;
+          column.empty++;
         }
       });
       
       if (isEmpty) {
         stats.emptyRows++;
+        return;
+      }
+      
+      const rowKey = JSON.stringify(this.headers.map(header => row[header] || ''));
+      if (seenRows.has(rowKey)) {
+        stats.duplicateRows++;
+        if (stats.duplicateRowNumbers.length < CSVProcessor.STATISTICS_EXAMPLES) {
+          stats.duplicateRowNumbers.push(index + 1);
+        }
+      } else {
+        seenRows.add(rowKey);
       }
     });
     
-    // Convert Sets to counts for serialization
+    // Convert value counts to summaries for display
     Object.keys(stats.columnStats).forEach(header => {
-      stats.columnStats[header].uniqueCount = stats.columnStats[header].unique.size;
-      delete stats.columnStats[header].unique;
+      const column = stats.columnStats[header];
+      const inferred = this.determineFieldType(header, options);
+      
+      column.uniqueCount = column.unique.size;
+      column.fillRate = this.csvData.length > 0 ? column.nonEmpty / this.csvData.length : 0;
+      column.topValues = [...column.unique.entries()]
+        .filter(([, count]) => count > 1)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, CSVProcessor.TOP_VALUES)
+        .map(([value, count]) => ({ value, count }));
+      column.inferredType = inferred.type;
+      column.typeShare = inferred.share;
+      column.mismatches = inferred.mismatches;
+      column.mixed = inferred.mixed;
+      column.candidates = inferred.candidates;
+      column.range = this.getValueRange([...column.unique.keys()], inferred.type);
+      delete column.unique;
     });
     
     return stats;
   }
+
+  countSuspicious(column, kind, index) {
+    column[kind]++;
+    if (column.examples[kind].length < CSVProcessor.STATISTICS_EXAMPLES) {
+      column.examples[kind].push(index + 1);
+    }
+  }
+
+  // Smallest and largest values of numeric and date columns, read with the format options;
+  // null for other types or when nothing can be read
+  getValueRange(values, type) {
+    let readValue;
+    if (['Number', 'Currency', 'Percent'].includes(type)) {
+      readValue = value => {
+        const number = Number(this.formatNumber(value));
+        return isNaN(number) ? null : number;
+      };
+    } else if (['Date', 'DateTime'].includes(type)) {
+      readValue = value => {
+        const parts = this.parseDateValue(value);
+        if (!parts) return null;
+        return parts.instant ? parts.instant.getTime() : this.zonedTimeToUtc(parts, 'UTC').getTime();
+      };
+    } else {
+      return null;
+    }
+    
+    let range = null;
+    values.forEach(value => {
+      const key = readValue(value);
+      if (key === null) return;
+      if (!range) {
+        range = { min: value, max: value, minKey: key, maxKey: key };
+      } else if (key < range.minKey) {
+        range.min = value;
+        range.minKey = key;
+      } else if (key > range.maxKey) {
+        range.max = value;
+        range.maxKey = key;
+      }
+    });
+    
+    return range && { min: range.min, max: range.max };
+  }
 }
 
+// Value patterns for type-aware mapping, checked in order; shared with TypeInference where
+// both read the same kind of value
+CSVProcessor.VALUE_PATTERNS = {
+  email: TypeInference.EMAIL_PATTERN,
+  url: TypeInference.URL_PATTERN,
+  id: TypeInference.ID_PATTERN,
+  boolean: /^(true|false|yes|no|1|0)$/i,
+  number: /^(?=.*\d)[-+]?(\d{1,3}(,\d{3})+|\d*)(\.\d+)?$/,
+  phone: /^\+?[\d\s\-().]{7,}$/,
+  date: /^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[\/.-]\d{1,2}[\/.-]\d{2,4})([T\s].*)?$/
+};
+
+// Salesforce field types (describe "type") that accept each kind of value
+CSVProcessor.VALUE_KIND_FIELD_TYPES = {
+  email: ['email'],
+  url: ['url'],
+  id: ['reference', 'id'],
+  boolean: ['boolean'],
+  number: ['double', 'currency', 'percent', 'int', 'long'],
+  phone: ['phone'],
+  date: ['date', 'datetime']
+};
+
+// Kinds specific enough to earn a larger boost on a matching field type
+CSVProcessor.DISTINCTIVE_VALUE_KINDS = ['email', 'url', 'id'];
+
+CSVProcessor.TEXT_FIELD_TYPES = ['string', 'textarea', 'encryptedstring', 'combobox'];
+
+CSVProcessor.PROFILE_SAMPLE_ROWS = 50;
+
+// How source values are read when formatting for date, datetime and number fields
+CSVProcessor.DEFAULT_FORMAT_OPTIONS = {
+  dateFormat: 'auto', // 'auto' reads ISO 8601, otherwise tokens as in ColumnTransforms.parseDate
+  timeZone: 'UTC', // IANA zone or 'local' for wall-clock datetimes
+  decimalSeparator: '.'
+};
+
+// Times tried after a source date format that has none
+CSVProcessor.TIME_SUFFIXES = [' H:mm:ss', ' H:mm', 'TH:mm:ss', 'TH:mm'];
+
+CSVProcessor.ISO_DATE_FORMATS = ['YYYY-MM-DDTHH:mm:ss', 'YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DDTHH:mm', 'YYYY-MM-DD HH:mm', 'YYYY-MM-DD'];
+
+CSVProcessor.TRUE_VALUES = ['true', 'yes', 'y', '1'];
+
+CSVProcessor.FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Control characters, zero-width characters and the replacement character left by a wrong encoding
+CSVProcessor.NON_PRINTABLE_PATTERN = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B-\u200D\uFEFF\uFFFD]/;
+
+// Row numbers kept per kind of problem in getDataStatistics
+CSVProcessor.STATISTICS_EXAMPLES = 10;
+
+// Most frequent repeated values kept per column in getDataStatistics
+CSVProcessor.TOP_VALUES = 5;
+
+// Distinct values shown as evidence for a suggested field type
+CSVProcessor.EVIDENCE_SAMPLES = 3;
+
+// Picklist values taken from a column for a new field: Salesforce allows 1,000 values of 255 characters
+CSVProcessor.PICKLIST_VALUE_LIMIT = 1000;
+
+CSVProcessor.PICKLIST_VALUE_LENGTH = 255;
+
+CSVProcessor.DELIMITER_CANDIDATES = [
+  { value: ',', label: 'Comma' },
+  { value: ';', label: 'Semicolon' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe' }
+];
+
+CSVProcessor.QUOTE_CANDIDATES = ['"', "'"];
+
+CSVProcessor.FILE_FORMATS = {
+  '.csv': 'delimited',
+  '.tsv': 'delimited',
+  '.txt': 'delimited',
+  '.xlsx': 'xlsx',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+
+CSVProcessor.SUPPORTED_EXTENSIONS = Object.keys(CSVProcessor.FILE_FORMATS);
+
+CSVProcessor.getFileFormat = function(fileName) {
+  const name = fileName.toLowerCase();
+  const extension = CSVProcessor.SUPPORTED_EXTENSIONS.find(ext => name.endsWith(ext));
+  return extension ? CSVProcessor.FILE_FORMATS[extension] : null;
+};
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = CSVProcessor;
@@ -0,0 +1,166 @@
+// Data Profile
+// Shows CSVProcessor.getDataStatistics for the loaded file before anything is mapped: fill
+// rate, distinct and top values, range and inferred type per column, suspicious values,
+// and empty and duplicate rows for the whole file.
+class DataProfilePanel {
+  constructor(uploader) {
+    this.uploader = uploader;
+    this.container = document.getElementById('data-profile');
+    this.button = document.getElementById('profile-btn');
+    this.stats = null;
+
+    this.button.addEventListener('click', () => this.toggle());
+  }
+
+  reset() {
+    this.stats = null;
+    this.container.innerHTML = '';
+    this.container.classList.add('hidden');
+    this.button.classList.add('hidden');
+  }
+
+  // Called once a file is loaded; the statistics are only computed when first shown
+  enable() {
+    this.reset();
+    this.button.classList.remove('hidden');
+  }
+
+  async toggle() {
+    if (!this.container.classList.contains('hidden')) {
+      this.container.classList.add('hidden');
+      return;
+    }
+
+    if (!this.stats) {
+      await this.load();
+    }
+    this.render();
+  }
+
+  // Drop the statistics when the file's date or number format changes, and recompute them
+  // if the profile is showing
+  async refresh() {
+    this.stats = null;
+    if (!this.container.classList.contains('hidden')) {
+      await this.load();
+      this.render();
+    }
+  }
+
+  async load() {
+    const settings = await loadSettings();
+    this.stats = this.uploader.csvProcessor.getDataStatistics({
+      agreement: settings.typeInferenceAgreement,
+      sampleSize: settings.typeInferenceSampleSize
+    });
+  }
+
+  render() {
+    const stats = this.stats;
+    this.container.innerHTML = '';
+    this.container.classList.remove('hidden');
+
+    const hasRowProblems = stats.emptyRows > 0 || stats.duplicateRows > 0;
+    const summary = document.createElement('div');
+    summary.className = hasRowProblems ? 'preflight-summary invalid' : 'preflight-summary';
+    summary.textContent = `${stats.totalRows} rows, ${stats.totalColumns} columns. ` +
+      `${stats.emptyRows} empty row${stats.emptyRows === 1 ? '' : 's'}, ` +
+      `${stats.duplicateRows} duplicate row${stats.duplicateRows === 1 ? '' : 's'}` +
+      (stats.duplicateRows > 0 ? ` (${this.listRows(stats.duplicateRowNumbers, stats.duplicateRows)})` : '') + '.';
+    this.container.appendChild(summary);
+
+    this.container.appendChild(this.renderColumnTable());
+  }
+
+  renderColumnTable() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'failure-table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'failure-table';
+
+    const headerRow = document.createElement('tr');
+    ['Column', 'Type', 'Filled', 'Distinct', 'Top Values', 'Range', 'Suspicious'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    Object.entries(this.stats.columnStats).forEach(([header, column]) => {
+      const suspicious = this.describeSuspicious(column);
+      const tr = document.createElement('tr');
+      if (suspicious.length > 0) {
+        tr.className = 'preflight-warning';
+      }
+      [
+        header,
+        this.describeType(column),
+        `${Math.round(column.fillRate * 100)}%`,
+        String(column.uniqueCount),
+        column.topValues.map(({ value, count }) => `${this.shorten(value)} ×${count}`).join(', '),
+        column.range ? `${this.shorten(column.range.min)} – ${this.shorten(column.range.max)}` : '',
+        suspicious.join('; ')
+      ].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+
+    wrapper.appendChild(table);
+    return wrapper;
+  }
+
+  describeType(column) {
+    if (column.nonEmpty === 0) {
+      return 'Empty';
+    }
+    const label = (FieldReview.TYPES.find(([type]) => type === column.inferredType) || [null, column.inferredType])[1];
+    if (column.mixed) {
+      return 'Mixed';
+    }
+    return column.mismatches.length > 0 ? `${label} (${Math.round(column.typeShare * 100)}%)` : label;
+  }
+
+  // Values of another type, a mix of types, surrounding spaces and hidden characters
+  describeSuspicious(column) {
+    const parts = [];
+    if (column.mixed) {
+      parts.push(`mixed types: ${column.candidates
+        .slice(0, DataProfilePanel.VALUES_SHOWN)
+        .map(candidate => `${Math.round(candidate.share * 100)}% ${candidate.type}`)
+        .join(', ')}`);
+    }
+    if (column.mismatches.length > 0) {
+      parts.push(`not ${column.inferredType}: ${column.mismatches.slice(0, DataProfilePanel.VALUES_SHOWN).map(value => this.shorten(value)).join(', ')}`);
+    }
+    if (column.whitespace > 0) {
+      parts.push(`${column.whitespace} with leading or trailing spaces (${this.listRows(column.examples.whitespace, column.whitespace)})`);
+    }
+    if (column.nonPrintable > 0) {
+      parts.push(`${column.nonPrintable} with hidden characters (${this.listRows(column.examples.nonPrintable, column.nonPrintable)})`);
+    }
+    return parts;
+  }
+
+  listRows(rowNumbers, total) {
+    const shown = `row${total === 1 ? '' : 's'} ${rowNumbers.join(', ')}`;
+    return total > rowNumbers.length ? `${shown}, …` : shown;
+  }
+
+  shorten(value) {
+    return value.length > DataProfilePanel.VALUE_LENGTH ? `${value.slice(0, DataProfilePanel.VALUE_LENGTH)}…` : value;
+  }
+}
+
+DataProfilePanel.VALUES_SHOWN = 3;
+
+DataProfilePanel.VALUE_LENGTH = 30;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataProfilePanel;
+} else {
+  window.DataProfilePanel = DataProfilePanel;
+}
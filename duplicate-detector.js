@@ -0,0 +1,153 @@
+// Duplicate Detector
+// Finds rows that share match key values (e.g. Email, or Name + BillingPostalCode) with
+// other rows of the file, and rows whose key already belongs to records in Salesforce.
+// Can also ask the org's Duplicate Rules by validating rows through a rolled-back save.
+class DuplicateDetector {
+  constructor(api) {
+    this.api = api;
+  }
+
+  // keyFields are mapped field names. Returns { fileGroups, existing, ruleMatches }:
+  // fileGroups lists rows sharing a key, existing maps row index -> matching record IDs
+  async detect(processor, objectName, keyFields, { checkDuplicateRules = false } = {}) {
+    this.keyFields = keyFields.map(fieldName => processor.fieldsByName[fieldName] || { name: fieldName });
+    const keys = this.collectKeys(processor, keyFields);
+
+    const rowsByKey = new Map();
+    keys.forEach(({ key }, index) => {
+      if (key === null) return;
+      if (!rowsByKey.has(key)) {
+        rowsByKey.set(key, []);
+      }
+      rowsByKey.get(key).push(index);
+    });
+
+    const fileGroups = [...rowsByKey.entries()]
+      .filter(([, rows]) => rows.length > 1)
+      .map(([, rows]) => ({ values: keys[rows[0]].values, rows }));
+
+    const recordsByKey = await this.queryExisting(processor, objectName, keyFields, rowsByKey, keys);
+    const existing = new Map();
+    rowsByKey.forEach((rows, key) => {
+      if (recordsByKey.has(key)) {
+        rows.forEach(index => existing.set(index, recordsByKey.get(key)));
+      }
+    });
+
+    const ruleMatches = checkDuplicateRules
+      ? await this.checkDuplicateRules(processor, objectName, existing)
+      : new Map();
+
+    return { fileGroups, existing, ruleMatches };
+  }
+
+  // Output value of each key field per row; key is null when any part is empty
+  collectKeys(processor, keyFields) {
+    const columns = keyFields.map(fieldName =>
+      Object.keys(processor.mappings).find(column => processor.mappings[column] === fieldName));
+
+    return processor.csvData.map(row => {
+      let values;
+      try {
+        values = columns.map(column => processor.getOutputValue(row, column).trim());
+      } catch (error) {
+        return { key: null, values: [] }; // Reported by the pre-flight checks
+      }
+      return {
+        key: values.some(value => value === '') ? null : this.normalizeKey(values),
+        values
+      };
+    });
+  }
+
+  // Case-insensitive like SOQL text comparison; numbers compare by value, so 5 matches 5.00
+  normalizeKey(values) {
+    return JSON.stringify(values.map((value, index) => {
+      const field = this.keyFields[index];
+      return LookupResolver.NUMBER_TYPES.includes(field.type) && value !== '' && !isNaN(Number(value))
+        ? String(Number(value))
+        : value.toLowerCase();
+    }));
+  }
+
+  // Query existing records by the first key field, then compare the whole key.
+  // Returns normalized key -> record IDs
+  async queryExisting(processor, objectName, keyFields, rowsByKey, keys) {
+    const [firstField] = keyFields;
+    const field = processor.fieldsByName[firstField];
+    const firstValues = [...new Set([...rowsByKey.values()].map(rows => keys[rows[0]].values[0]))]
+      .filter(value => LookupResolver.isValidLiteral(value, field));
+    const recordsByKey = new Map();
+    const resolver = new LookupResolver(this.api);
+
+    for (const chunk of resolver.chunkValues(firstValues)) {
+      const inList = chunk.map(value => LookupResolver.toSOQLLiteral(value, field)).join(',');
+      const records = await this.api.query(
+        `SELECT Id, ${keyFields.join(', ')} FROM ${objectName} WHERE ${firstField} IN (${inList})`
+      );
+
+      records.forEach(record => {
+        const key = this.normalizeKey(keyFields.map(fieldName =>
+          record[fieldName] === null || record[fieldName] === undefined ? '' : String(record[fieldName])));
+        if (!recordsByKey.has(key)) {
+          recordsByKey.set(key, []);
+        }
+        recordsByKey.get(key).push(record.Id);
+      });
+    }
+
+    return recordsByKey;
+  }
+
+  // Validate the rows not already matched through a rolled-back insert, so the org's
+  // Duplicate Rules and matching rules run. Returns row index -> matching record IDs
+  async checkDuplicateRules(processor, objectName, existing) {
+    const rowIndexes = processor.csvData.map((row, index) => index)
+      .filter(index => !existing.has(index))
+      .slice(0, DuplicateDetector.RULE_CHECK_LIMIT);
+    const matches = new Map();
+
+    for (let start = 0; start < rowIndexes.length; start += SalesforceAPI.COLLECTION_LIMIT - 1) {
+      const chunk = rowIndexes.slice(start, start + SalesforceAPI.COLLECTION_LIMIT - 1);
+      const records = [];
+      const chunkRows = [];
+      chunk.forEach(index => {
+        try {
+          records.push(processor.buildRecord(processor.csvData[index], objectName));
+          chunkRows.push(index);
+        } catch (error) {
+          // Rows with bad values are reported by the pre-flight checks
+        }
+      });
+      if (records.length === 0) continue;
+
+      const results = await this.api.simulateOperation(objectName, records, { operation: 'insert' });
+      results.forEach((result, position) => {
+        const duplicates = (result.errors || []).filter(error => error.statusCode === 'DUPLICATES_DETECTED');
+        if (duplicates.length === 0) return;
+
+        const ids = duplicates.flatMap(error => ((error.duplicateResult || {}).matchResults || [])
+          .flatMap(matchResult => (matchResult.matchRecords || []).map(match => match.record && match.record.Id)))
+          .filter(Boolean);
+        matches.set(chunkRows[position], [...new Set(ids)]);
+      });
+    }
+
+    return matches;
+  }
+
+  // Fields that can be part of a match key: filterable, and compared reliably as text
+  static isKeyField(field) {
+    return field.filterable !== false && !['datetime', 'time', 'textarea', 'base64', 'location', 'address'].includes(field.type);
+  }
+}
+
+// Rows sent through the Duplicate Rules check, at most 199 per request
+DuplicateDetector.RULE_CHECK_LIMIT = 2000;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DuplicateDetector;
+} else {
+  window.DuplicateDetector = DuplicateDetector;
+}
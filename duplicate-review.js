@@ -0,0 +1,310 @@
+// Duplicate Review
+// Lets the user pick match keys, runs DuplicateDetector and shows duplicate rows inside
+// the file and rows matching existing records, each with a choice of what to do with it.
+class DuplicateReview {
+  constructor(uploader) {
+    this.uploader = uploader;
+    this.container = document.getElementById('duplicate-review');
+    this.keyFields = [];
+    this.checkDuplicateRules = false;
+    this.result = null;
+    this.groupActions = new Map(); // File group index -> 'skip' (keep the first row) | 'insert'
+    this.matchActions = new Map(); // Row index -> 'skip' | 'update' | 'insert'
+
+    document.getElementById('duplicates-btn').addEventListener('click', () => this.toggle());
+  }
+
+  reset() {
+    this.keyFields = [];
+    this.result = null;
+    this.groupActions = new Map();
+    this.matchActions = new Map();
+    this.container.innerHTML = '';
+    this.container.classList.add('hidden');
+  }
+
+  toggle() {
+    if (this.container.classList.contains('hidden')) {
+      this.render();
+    } else {
+      this.container.classList.add('hidden');
+    }
+  }
+
+  // Later rows of skipped file groups, and matched rows set to skip
+  getSkippedRows() {
+    const skipped = new Set();
+    if (!this.result) return skipped;
+
+    this.result.fileGroups.forEach((group, index) => {
+      if (this.groupActions.get(index) === 'skip') {
+        group.rows.slice(1).forEach(row => skipped.add(row));
+      }
+    });
+    this.matchActions.forEach((action, row) => {
+      if (action === 'skip') {
+        skipped.add(row);
+      }
+    });
+    return skipped;
+  }
+
+  // Row index -> ID of the existing record the row should update
+  getRecordUpdates() {
+    const updates = new Map();
+    if (!this.result || this.uploader.operation !== 'insert') return updates;
+
+    const skipped = this.getSkippedRows();
+    this.matchActions.forEach((action, row) => {
+      if (action === 'update' && !skipped.has(row)) {
+        updates.set(row, this.getMatches(row)[0]);
+      }
+    });
+    return updates;
+  }
+
+  getMatches(row) {
+    return this.result.existing.get(row) || this.result.ruleMatches.get(row) || [];
+  }
+
+  async findDuplicates() {
+    if (this.keyFields.length === 0) {
+      this.uploader.showError('Choose at least one field to match on');
+      return;
+    }
+
+    try {
+      this.uploader.showLoading('duplicates-check-btn', 'Checking...');
+      const detector = new DuplicateDetector(this.uploader.api);
+      this.result = await detector.detect(this.uploader.csvProcessor, this.uploader.selectedObject, this.keyFields, {
+        checkDuplicateRules: this.checkDuplicateRules
+      });
+
+      this.groupActions = new Map(this.result.fileGroups.map((group, index) => [index, 'skip']));
+      this.matchActions = new Map();
+      [...this.result.existing.keys(), ...this.result.ruleMatches.keys()].forEach(row => this.matchActions.set(row, 'skip'));
+
+      this.uploader.hideError();
+      this.render();
+    } catch (error) {
+      this.uploader.showError(`Duplicate check failed: ${error.message}`);
+      this.uploader.hideLoading('duplicates-check-btn', 'Check');
+    }
+  }
+
+  render() {
+    this.container.innerHTML = '';
+    this.container.classList.remove('hidden');
+    this.container.appendChild(this.renderKeyPicker());
+
+    if (this.result) {
+      this.container.appendChild(this.renderFileGroups());
+      this.container.appendChild(this.renderMatches());
+    }
+  }
+
+  // Mapped fields that can be matched on, plus the Duplicate Rules option
+  renderKeyPicker() {
+    const picker = document.createElement('div');
+    picker.className = 'duplicate-keys';
+
+    const label = document.createElement('div');
+    label.className = 'field-label';
+    label.textContent = 'Match rows on:';
+    picker.appendChild(label);
+
+    const mappedFields = new Set(Object.values(this.uploader.csvProcessor.mappings));
+    this.uploader.objectFields
+      .filter(field => mappedFields.has(field.name) && DuplicateDetector.isKeyField(field))
+      .forEach(field => {
+        picker.appendChild(this.createCheckbox(`${field.label} (${field.name})`, this.keyFields.includes(field.name), (checked) => {
+          this.keyFields = checked
+            ? [...this.keyFields, field.name]
+            : this.keyFields.filter(name => name !== field.name);
+        }));
+      });
+
+    picker.appendChild(this.createCheckbox('Also check the org\'s Duplicate Rules', this.checkDuplicateRules, (checked) => {
+      this.checkDuplicateRules = checked;
+    }));
+
+    const button = document.createElement('button');
+    button.id = 'duplicates-check-btn';
+    button.className = 'secondary';
+    button.textContent = 'Check';
+    button.addEventListener('click', () => this.findDuplicates());
+    picker.appendChild(button);
+
+    return picker;
+  }
+
+  createCheckbox(text, checked, onChange) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.addEventListener('change', (e) => onChange(e.target.checked));
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${text}`));
+    return label;
+  }
+
+  renderFileGroups() {
+    const section = document.createElement('div');
+    const groups = this.result.fileGroups;
+    const duplicateRows = groups.reduce((sum, group) => sum + group.rows.length - 1, 0);
+
+    const summary = document.createElement('div');
+    summary.className = groups.length > 0 ? 'preflight-summary invalid' : 'preflight-summary';
+    summary.textContent = groups.length > 0
+      ? `In the file: ${groups.length} key${groups.length === 1 ? '' : 's'} appear on more than one row (${duplicateRows} extra rows).`
+      : 'In the file: no duplicate keys.';
+    section.appendChild(summary);
+
+    if (groups.length === 0) {
+      return section;
+    }
+
+    section.appendChild(this.createBulkSelect([['skip', 'Keep first row only'], ['insert', 'Load every row']], (action) => {
+      groups.forEach((group, index) => this.groupActions.set(index, action));
+      this.render();
+    }));
+
+    const rows = groups.slice(0, DuplicateReview.DISPLAY_ROWS).map((group, index) => [
+      group.values.join(' / '),
+      group.rows.map(row => row + 1).join(', '),
+      this.createActionSelect([['skip', 'Keep first row only'], ['insert', 'Load every row']],
+        this.groupActions.get(index), action => this.groupActions.set(index, action))
+    ]);
+    section.appendChild(this.renderTable(['Key', 'Rows', 'Action'], rows));
+    this.appendTruncationNote(section, groups.length);
+
+    return section;
+  }
+
+  renderMatches() {
+    const section = document.createElement('div');
+    const rows = [...this.matchActions.keys()].sort((a, b) => a - b);
+
+    const summary = document.createElement('div');
+    summary.className = rows.length > 0 ? 'preflight-summary invalid' : 'preflight-summary';
+    summary.textContent = rows.length > 0
+      ? `In Salesforce: ${rows.length} row${rows.length === 1 ? '' : 's'} match existing ${this.uploader.selectedObject} records.`
+      : `In Salesforce: no matching ${this.uploader.selectedObject} records.`;
+    section.appendChild(summary);
+
+    if (rows.length === 0) {
+      return section;
+    }
+
+    const canUpdate = this.uploader.operation === 'insert';
+    const actions = [['skip', 'Skip'], ...(canUpdate ? [['update', 'Update existing']] : []), ['insert', 'Insert anyway']];
+
+    section.appendChild(this.createBulkSelect(actions, (action) => {
+      rows.forEach(row => {
+        // Only a single match can be updated
+        this.matchActions.set(row, action === 'update' && this.getMatches(row).length !== 1 ? 'skip' : action);
+      });
+      this.render();
+    }));
+
+    const tableRows = rows.slice(0, DuplicateReview.DISPLAY_ROWS).map(row => {
+      const matches = this.getMatches(row);
+      const source = this.result.existing.has(row) ? 'Match key' : 'Duplicate rule';
+      const rowActions = matches.length === 1 ? actions : actions.filter(([value]) => value !== 'update');
+      return [
+        String(row + 1),
+        matches.length > 0 ? matches.join(', ') : '(not returned)',
+        source,
+        this.createActionSelect(rowActions, this.matchActions.get(row), action => this.matchActions.set(row, action))
+      ];
+    });
+    section.appendChild(this.renderTable(['Row', 'Existing record', 'Found by', 'Action'], tableRows));
+    this.appendTruncationNote(section, rows.length);
+
+    return section;
+  }
+
+  // "Set all to" select; onChoose runs with the chosen action
+  createBulkSelect(actions, onChoose) {
+    const select = document.createElement('select');
+    select.className = 'duplicate-bulk';
+    select.innerHTML = '<option value="">Set all to...</option>';
+    actions.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', (e) => {
+      if (e.target.value) {
+        onChoose(e.target.value);
+      }
+    });
+    return select;
+  }
+
+  createActionSelect(actions, value, onChange) {
+    const select = document.createElement('select');
+    actions.forEach(([optionValue, label]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', (e) => onChange(e.target.value));
+    return select;
+  }
+
+  // Cells are text or elements
+  renderTable(headers, rows) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'failure-table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'failure-table';
+
+    const headerRow = document.createElement('tr');
+    headers.forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    rows.forEach(cells => {
+      const tr = document.createElement('tr');
+      cells.forEach(cell => {
+        const td = document.createElement('td');
+        if (typeof cell === 'string') {
+          td.textContent = cell;
+        } else {
+          td.appendChild(cell);
+        }
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+
+    wrapper.appendChild(table);
+    return wrapper;
+  }
+
+  appendTruncationNote(section, total) {
+    if (total > DuplicateReview.DISPLAY_ROWS) {
+      const note = document.createElement('div');
+      note.className = 'failure-message';
+      note.textContent = `Showing the first ${DuplicateReview.DISPLAY_ROWS} of ${total}. "Set all to" applies to every one.`;
+      section.appendChild(note);
+    }
+  }
+}
+
+DuplicateReview.DISPLAY_ROWS = 100;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DuplicateReview;
+} else {
+  window.DuplicateReview = DuplicateReview;
+}
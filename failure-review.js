@@ -0,0 +1,355 @@
+// Failed Record Review
+// Parses Bulk API failedResults into structured rows, groups them by sf__Error code,
+// and lets the user fix values or column mappings before resubmitting just those rows.
+class FailureReview {
+  constructor(uploader) {
+    this.uploader = uploader;
+    this.container = null;
+    this.context = null;
+    this.columns = [];
+    this.columnTargets = {};
+    this.rows = [];
+    this.objectFields = [];
+    this.fieldsObjectName = null;
+  }
+
+  // Load the failed results of a finished upload and render the grouped summary
+  load(result, container) {
+    const parsed = new CSVProcessor().parseCSVText(result.results.failed);
+
+    this.container = container;
+    this.context = {
+      objectName: result.objectName,
+      operation: result.operation,
+      externalIdFieldName: result.externalIdFieldName,
+      fileName: result.fileName,
+      dryRun: Boolean(result.dryRun)
+    };
+
+    // sf__Id and sf__Error are added by Salesforce; everything else is what was sent
+    this.columns = parsed.headers.filter(header => !header.startsWith('sf__'));
+    this.columnTargets = {};
+    this.columns.forEach(column => {
+      this.columnTargets[column] = column;
+    });
+
+    this.rows = parsed.data.map((row, index) => {
+      const { code, message } = FailureReview.parseError(row.sf__Error || '');
+      const values = {};
+      this.columns.forEach(column => {
+        values[column] = row[column];
+      });
+      return { index, code, message, values, excluded: false };
+    });
+
+    this.renderSummary();
+  }
+
+  // "REQUIRED_FIELD_MISSING:Required fields are missing: [LastName]:LastName --"
+  // -> { code: 'REQUIRED_FIELD_MISSING', message: 'Required fields are missing: [LastName]' }
+  static parseError(sfError) {
+    const match = sfError.match(/^([A-Z_]+):(.*)$/s);
+    if (!match) {
+      return { code: 'UNKNOWN_ERROR', message: sfError.trim() };
+    }
+
+    const message = match[2].replace(/:[\w\s,]*--\s*$/, '').trim();
+    return { code: match[1], message };
+  }
+
+  groupFailures() {
+    const groups = {};
+
+    this.rows.forEach(row => {
+      if (!groups[row.code]) {
+        groups[row.code] = { code: row.code, count: 0, rows: [] };
+      }
+      groups[row.code].count++;
+      groups[row.code].rows.push(row);
+    });
+
+    return Object.values(groups).sort((a, b) => b.count - a.count);
+  }
+
+  renderSummary() {
+    this.container.innerHTML = '<h5>Failed Records by Error</h5>';
+
+    this.groupFailures().forEach(group => {
+      const groupEl = document.createElement('div');
+      groupEl.className = 'failure-group';
+
+      const heading = document.createElement('div');
+      heading.className = 'failure-group-heading';
+      heading.textContent = `${group.code} (${group.count})`;
+      groupEl.appendChild(heading);
+
+      // Distinct messages show which fields or rules are involved
+      const messages = [...new Set(group.rows.map(row => row.message))].slice(0, 3);
+      messages.forEach(message => {
+        const messageEl = document.createElement('div');
+        messageEl.className = 'failure-message';
+        messageEl.textContent = message;
+        groupEl.appendChild(messageEl);
+      });
+
+      groupEl.appendChild(this.renderRowTable(group.rows.slice(0, FailureReview.EXAMPLE_ROWS), false));
+
+      const fixButton = document.createElement('button');
+      fixButton.className = 'secondary';
+      fixButton.textContent = `Fix ${group.count} row${group.count === 1 ? '' : 's'}`;
+      fixButton.addEventListener('click', () => this.openEditor(group.code));
+      groupEl.appendChild(fixButton);
+
+      this.container.appendChild(groupEl);
+    });
+
+    this.container.appendChild(this.renderActions());
+  }
+
+  renderActions() {
+    const actions = document.createElement('div');
+    actions.className = 'failure-actions';
+
+    const downloadButton = document.createElement('button');
+    downloadButton.className = 'secondary';
+    downloadButton.textContent = 'Download Failures CSV';
+    downloadButton.addEventListener('click', () => {
+      this.uploader.downloadFile(`${this.context.objectName}_failures.csv`, this.buildRetryCSV(true), 'text/csv');
+    });
+    actions.appendChild(downloadButton);
+
+    // A dry run saved nothing, so there is nothing to resubmit
+    if (!this.context.dryRun) {
+      const retryButton = document.createElement('button');
+      retryButton.textContent = 'Resubmit Failed Rows';
+      retryButton.addEventListener('click', () => this.resubmit(retryButton));
+      actions.appendChild(retryButton);
+    }
+
+    return actions;
+  }
+
+  // Editable view of one error group, including a field picker per column
+  async openEditor(code) {
+    try {
+      await this.loadObjectFields();
+    } catch (error) {
+      this.uploader.showError(`Failed to load fields for ${this.context.objectName}: ${error.message}`);
+      return;
+    }
+
+    const rows = this.rows.filter(row => row.code === code);
+    this.container.innerHTML = '';
+
+    const heading = document.createElement('h5');
+    heading.textContent = `Fix ${code} rows`;
+    this.container.appendChild(heading);
+
+    if (rows.length > FailureReview.EDITOR_ROWS) {
+      const note = document.createElement('div');
+      note.className = 'failure-message';
+      note.textContent = `Showing the first ${FailureReview.EDITOR_ROWS} of ${rows.length} rows. Mapping changes apply to all rows.`;
+      this.container.appendChild(note);
+    }
+
+    this.container.appendChild(this.renderRowTable(rows.slice(0, FailureReview.EDITOR_ROWS), true));
+
+    const backButton = document.createElement('button');
+    backButton.className = 'secondary';
+    backButton.textContent = 'Back to Summary';
+    backButton.addEventListener('click', () => this.renderSummary());
+    this.container.appendChild(backButton);
+    this.container.appendChild(this.renderActions());
+  }
+
+  renderRowTable(rows, editable) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'failure-table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'failure-table';
+
+    const headerRow = document.createElement('tr');
+    if (editable) {
+      headerRow.appendChild(this.createCell('th', 'Skip'));
+    }
+    headerRow.appendChild(this.createCell('th', 'Error'));
+    this.columns.forEach(column => {
+      const th = document.createElement('th');
+      if (editable) {
+        th.appendChild(this.createTargetSelect(column));
+      } else {
+        th.textContent = column;
+      }
+      headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    rows.forEach(row => {
+      const tr = document.createElement('tr');
+
+      if (editable) {
+        const skipCell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = row.excluded;
+        checkbox.title = 'Leave this row out of the resubmission';
+        checkbox.addEventListener('change', (e) => {
+          row.excluded = e.target.checked;
+        });
+        skipCell.appendChild(checkbox);
+        tr.appendChild(skipCell);
+      }
+
+      tr.appendChild(this.createCell('td', row.message));
+
+      this.columns.forEach(column => {
+        const td = document.createElement('td');
+        if (editable) {
+          const input = document.createElement('input');
+          input.type = 'text';
+          input.value = row.values[column];
+          input.addEventListener('input', (e) => {
+            row.values[column] = e.target.value;
+          });
+          td.appendChild(input);
+        } else {
+          td.textContent = row.values[column];
+        }
+        tr.appendChild(td);
+      });
+
+      table.appendChild(tr);
+    });
+
+    wrapper.appendChild(table);
+    return wrapper;
+  }
+
+  createCell(tag, text) {
+    const cell = document.createElement(tag);
+    cell.textContent = text;
+    return cell;
+  }
+
+  // Lets a column be sent to a different field, or dropped from the retry
+  createTargetSelect(column) {
+    const select = document.createElement('select');
+    select.innerHTML = '<option value="">-- Drop column --</option>';
+
+    const fieldNames = new Set(this.objectFields.map(field => field.name));
+    if (!fieldNames.has(column)) {
+      // Relationship or unknown columns stay selectable as sent
+      const option = document.createElement('option');
+      option.value = column;
+      option.textContent = column;
+      select.appendChild(option);
+    }
+
+    this.objectFields.forEach(field => {
+      const option = document.createElement('option');
+      option.value = field.name;
+      option.textContent = `${field.label} (${field.name})`;
+      select.appendChild(option);
+    });
+
+    select.value = this.columnTargets[column] || '';
+    select.addEventListener('change', (e) => {
+      this.columnTargets[column] = e.target.value;
+    });
+    return select;
+  }
+
+  async loadObjectFields() {
+    if (this.fieldsObjectName === this.context.objectName) {
+      return;
+    }
+
+    // Reuse the popup's metadata when the same object is selected there
+    if (this.uploader.selectedObject === this.context.objectName && this.uploader.objectFields.length > 0) {
+      this.objectFields = this.uploader.objectFields;
+    } else {
+      const metadata = await this.uploader.api.getObjectMetadata(this.context.objectName);
+      this.objectFields = metadata.fields;
+    }
+    this.fieldsObjectName = this.context.objectName;
+  }
+
+  // Columns still mapped to a field, with their (possibly changed) targets
+  getRetryColumns() {
+    return this.columns.filter(column => this.columnTargets[column]);
+  }
+
+  buildRetryCSV(includeErrors = false) {
+    const processor = new CSVProcessor();
+    const columns = this.getRetryColumns();
+    const header = [
+      ...(includeErrors ? ['sf__Error'] : []),
+      ...columns.map(column => this.columnTargets[column])
+    ].join(',');
+
+    const lines = this.rows
+      .filter(row => includeErrors || !row.excluded)
+      .map(row => [
+        ...(includeErrors ? [processor.escapeCSVValue(`${row.code}:${row.message}`)] : []),
+        ...columns.map(column => processor.escapeCSVValue(row.values[column] || ''))
+      ].join(','));
+
+    return [header, ...lines].join('\n');
+  }
+
+  async resubmit(button) {
+    const rows = this.rows.filter(row => !row.excluded);
+    const columns = this.getRetryColumns();
+
+    if (rows.length === 0) {
+      this.uploader.showError('All failed rows are marked to skip');
+      return;
+    }
+
+    const targets = columns.map(column => this.columnTargets[column]);
+    const duplicates = targets.filter((target, index) => targets.indexOf(target) !== index);
+    if (duplicates.length > 0) {
+      this.uploader.showError(`More than one column is mapped to: ${[...new Set(duplicates)].join(', ')}`);
+      return;
+    }
+
+    try {
+      button.disabled = true;
+      const settings = await loadSettings();
+      const processor = new CSVProcessor();
+      const batches = processor.buildCSVBatches(
+        targets.join(','),
+        rows.length,
+        index => columns.map(column => processor.escapeCSVValue(rows[index].values[column] || '')).join(','),
+        { maxRows: settings.batchSize, maxBytes: settings.maxBatchBytes }
+      );
+
+      this.uploader.showUploadProgress();
+      this.uploader.updateProgress(0, `Resubmitting ${rows.length} failed row${rows.length === 1 ? '' : 's'}...`);
+
+      await this.uploader.startBackgroundUpload({
+        objectName: this.context.objectName,
+        operation: this.context.operation,
+        externalIdFieldName: this.context.externalIdFieldName,
+        fileName: `${this.context.fileName || 'upload'} (retry)`,
+        totalRecords: rows.length,
+        batches: batches
+      }, settings);
+    } catch (error) {
+      this.uploader.showError(`Resubmission failed: ${error.message}`);
+      this.uploader.hideUploadProgress();
+    } finally {
+      button.disabled = false;
+    }
+  }
+}
+
+FailureReview.EXAMPLE_ROWS = 3;
+FailureReview.EDITOR_ROWS = 100;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FailureReview;
+} else {
+  window.FailureReview = FailureReview;
+}
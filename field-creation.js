@@ -0,0 +1,454 @@
+// Field Creation
+// Creates custom fields on the selected object for columns that have no field yet, through
+// the Tooling API, once they have been reviewed and edited in a FieldReview table. The
+// chosen profiles and permission sets get access to the new fields and the chosen page
+// layouts show them; a report then lists how each field went and the columns are mapped
+// to the new fields.
+class FieldCreationPanel {
+  constructor(uploader) {
+    this.uploader = uploader;
+    this.container = document.getElementById('field-creation-report');
+    this.suggestions = [];
+    this.review = new FieldReview(uploader, (problems) => this.updateCreateButton(problems));
+    this.createButton = null;
+    this.results = [];
+    this.layoutResults = [];
+    this.followUpErrors = []; // Steps after creation that failed as a whole
+    this.permissionSets = [];
+    this.layouts = [];
+    this.optionsError = null;
+    this.optionsObject = null; // Object the layouts were loaded for
+    this.selectedPermissionSets = new Set(); // Kept across objects, like the access itself
+    this.editAccess = true;
+    this.selectedLayouts = new Set();
+  }
+
+  reset() {
+    this.suggestions = [];
+    this.results = [];
+    this.layoutResults = [];
+    this.followUpErrors = [];
+    this.container.innerHTML = '';
+    this.container.classList.add('hidden');
+  }
+
+  // Suggest fields for the unmapped columns and show them for review with the creation options
+  async open() {
+    const uploader = this.uploader;
+    const settings = await loadSettings();
+    this.suggestions = this.resolveLookupTargets(
+      uploader.csvProcessor.suggestNewFields(uploader.csvProcessor.headers, uploader.objectFields, {
+        agreement: settings.typeInferenceAgreement,
+        sampleSize: settings.typeInferenceSampleSize
+      })
+    );
+    this.results = [];
+    this.layoutResults = [];
+
+    if (this.suggestions.length === 0) {
+      alert('No new fields need to be created');
+      return;
+    }
+    this.review.setEntries(this.suggestions.map(suggestion => ({ suggestion, include: true })));
+
+    try {
+      uploader.showLoading('create-fields-btn', 'Loading...');
+      await this.loadOptions();
+    } finally {
+      uploader.hideLoading('create-fields-btn', 'Create Missing Fields');
+    }
+    this.render();
+  }
+
+  // Permission sets once per session, layouts once per object. Without access to them
+  // fields can still be created
+  async loadOptions() {
+    const objectName = this.uploader.selectedObject;
+    if (this.optionsObject === objectName && !this.optionsError) {
+      return;
+    }
+
+    try {
+      if (this.permissionSets.length === 0) {
+        this.permissionSets = await this.uploader.api.getPermissionSets();
+      }
+      this.layouts = await this.uploader.api.getPageLayouts(objectName);
+      this.selectedLayouts = new Set();
+      this.optionsObject = objectName;
+      this.optionsError = null;
+    } catch (error) {
+      this.optionsError = error.message;
+    }
+  }
+
+  // ID columns become lookups to the object with their key prefix, or 18-character text
+  // when no object has it
+  resolveLookupTargets(suggestions) {
+    return suggestions.map(suggestion => {
+      if (suggestion.type !== 'Lookup') {
+        return suggestion;
+      }
+      const target = this.uploader.salesforceObjects.find(obj => obj.keyPrefix === suggestion.keyPrefix);
+      return target
+        ? { ...suggestion, referenceTo: target.name }
+        : { ...suggestion, type: 'Text', length: 18 };
+    });
+  }
+
+  async createFields() {
+    const uploader = this.uploader;
+    const suggestions = this.review.getIncluded();
+
+    try {
+      uploader.showLoading('field-creation-create-btn', 'Creating fields...');
+      this.results = [];
+      this.followUpErrors = [];
+
+      // One at a time, so a failure only affects its own field
+      for (const suggestion of suggestions) {
+        try {
+          await uploader.api.createCustomField(uploader.selectedObject, suggestion);
+          this.results.push({ suggestion, success: true, error: null, accessErrors: [], mapped: false });
+        } catch (error) {
+          this.results.push({ suggestion, success: false, error: error.message, accessErrors: [], mapped: false });
+        }
+      }
+
+      // The fields exist now, so a later step failing must not hide the report
+      const created = this.results.filter(result => result.success);
+      if (created.length > 0) {
+        const steps = [
+          ['Field access', () => this.grantAccess(created)],
+          ['Page layouts', () => this.addToLayouts(created)],
+          ['Mapping the new fields', () => this.mapCreatedFields()]
+        ];
+        for (const [step, run] of steps) {
+          try {
+            await run();
+          } catch (error) {
+            this.followUpErrors.push(`${step} failed: ${error.message}`);
+          }
+        }
+      }
+      this.render();
+    } catch (error) {
+      uploader.showError(`Field creation failed: ${error.message}`);
+      this.updateCreateButton(this.review.validate());
+    }
+  }
+
+  // One FieldPermissions record per new field and chosen profile or permission set.
+  // Required fields are always visible and editable, so they take none
+  async grantAccess(results) {
+    const grants = [];
+    results
+      .filter(result => !result.suggestion.required)
+      .forEach(result => {
+        this.permissionSets
+          .filter(permissionSet => this.selectedPermissionSets.has(permissionSet.id))
+          .forEach(permissionSet => grants.push({ result, permissionSet }));
+      });
+    if (grants.length === 0) return;
+
+    const objectName = this.uploader.selectedObject;
+    const responses = await this.uploader.api.createRecords(grants.map(({ result, permissionSet }) => ({
+      attributes: { type: 'FieldPermissions' },
+      ParentId: permissionSet.id,
+      SobjectType: objectName,
+      Field: `${objectName}.${result.suggestion.developerName}`,
+      PermissionsRead: true,
+      PermissionsEdit: this.editAccess
+    })));
+
+    // A failed request only fails the grants it carried
+    responses.forEach((response, index) => {
+      if (!response.success) {
+        const { result, permissionSet } = grants[index];
+        result.accessErrors.push(`${permissionSet.label}: ${(response.errors || []).map(error => error.message).join('; ')}`);
+      }
+    });
+  }
+
+  async addToLayouts(results) {
+    this.layoutResults = [];
+    const fields = results.map(result => ({
+      name: result.suggestion.developerName,
+      required: Boolean(result.suggestion.required)
+    }));
+
+    for (const layout of this.layouts.filter(candidate => this.selectedLayouts.has(candidate.id))) {
+      try {
+        await this.uploader.api.addFieldsToLayout(layout.id, fields);
+        this.layoutResults.push({ name: layout.name, error: null });
+      } catch (error) {
+        this.layoutResults.push({ name: layout.name, error: error.message });
+      }
+    }
+  }
+
+  // Reload the object's fields and map each column to the field created for it
+  async mapCreatedFields() {
+    const uploader = this.uploader;
+    const metadata = await uploader.api.getObjectMetadata(uploader.selectedObject);
+    uploader.objectFields = metadata.fields;
+    uploader.csvProcessor.setObjectFields(uploader.objectFields);
+
+    this.results.filter(result => result.success).forEach(result => {
+      if (result.suggestion.type === 'Location') {
+        result.mapped = this.mapLocation(result.suggestion);
+        return;
+      }
+      const field = this.findField(result.suggestion.developerName);
+      if (field) {
+        uploader.csvProcessor.setMapping(result.suggestion.csvHeader, field.name);
+        result.mapped = true;
+      }
+    });
+
+    uploader.renderMappingInterface();
+    uploader.relatedObjects.render();
+    uploader.updateUploadStep();
+  }
+
+  findField(name) {
+    return this.uploader.objectFields.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+  }
+
+  // Geolocation fields are written through their latitude and longitude parts: the column
+  // gives the latitude and a copy of it the longitude, each split out by a transform
+  mapLocation(suggestion) {
+    const processor = this.uploader.csvProcessor;
+    const baseName = suggestion.developerName.replace(/__c$/, '');
+    const latitude = this.findField(`${baseName}__Latitude__s`);
+    const longitude = this.findField(`${baseName}__Longitude__s`);
+    if (!latitude || !longitude) {
+      return false;
+    }
+
+    const separator = suggestion.separator || ',';
+    const longitudeColumn = processor.addDerivedColumn(suggestion.csvHeader);
+    processor.setTransforms(suggestion.csvHeader, [{ type: 'split', separator, part: '1' }, { type: 'trim' }]);
+    processor.setTransforms(longitudeColumn, [{ type: 'split', separator, part: '2' }, { type: 'trim' }]);
+    processor.setMapping(suggestion.csvHeader, latitude.name);
+    processor.setMapping(longitudeColumn, longitude.name);
+    return true;
+  }
+
+  render() {
+    this.container.innerHTML = '';
+    this.container.classList.remove('hidden');
+
+    if (this.results.length > 0) {
+      this.renderReport();
+    } else {
+      this.renderSetup();
+    }
+  }
+
+  // The fields to create, who gets access and which layouts show them
+  renderSetup() {
+    const summary = document.createElement('div');
+    summary.className = 'preflight-summary';
+    summary.textContent = `${this.suggestions.length} unmapped column${this.suggestions.length === 1 ? '' : 's'} can become new ${this.uploader.selectedObject} fields. Check and edit them before creating:`;
+    this.container.appendChild(summary);
+
+    this.createButton = document.createElement('button');
+    this.createButton.id = 'field-creation-create-btn';
+    this.createButton.addEventListener('click', () => this.createFields());
+    this.container.appendChild(this.review.render());
+
+    if (this.optionsError) {
+      const note = document.createElement('div');
+      note.className = 'preflight-lookup';
+      note.textContent = `Field access and layouts are unavailable: ${this.optionsError}`;
+      this.container.appendChild(note);
+    } else {
+      this.container.appendChild(this.renderAccessOptions());
+      this.container.appendChild(this.renderLayoutOptions());
+    }
+
+    this.container.appendChild(this.createButton);
+  }
+
+  // Only fields without problems can be created
+  updateCreateButton(problems) {
+    if (!this.createButton) return;
+    const count = this.review.getIncluded().length;
+    this.createButton.textContent = `Create ${count} Field${count === 1 ? '' : 's'}`;
+    this.createButton.disabled = count === 0 || problems.size > 0;
+  }
+
+  renderAccessOptions() {
+    const options = document.createElement('div');
+    options.className = 'field-creation-options';
+
+    const label = document.createElement('div');
+    label.className = 'field-label';
+    label.textContent = 'Give access to:';
+    options.appendChild(label);
+
+    const levelSelect = document.createElement('select');
+    levelSelect.innerHTML = '<option value="edit">Read and edit</option><option value="read">Read only</option>';
+    levelSelect.value = this.editAccess ? 'edit' : 'read';
+    levelSelect.addEventListener('change', (e) => {
+      this.editAccess = e.target.value === 'edit';
+    });
+    options.appendChild(levelSelect);
+
+    const list = document.createElement('div');
+    list.className = 'field-creation-choices';
+    this.permissionSets.forEach(permissionSet => {
+      list.appendChild(this.createCheckbox(
+        `${permissionSet.label}${permissionSet.isProfile ? ' (profile)' : ''}`,
+        this.selectedPermissionSets.has(permissionSet.id),
+        (checked) => this.toggle(this.selectedPermissionSets, permissionSet.id, checked)
+      ));
+    });
+    options.appendChild(list);
+
+    return options;
+  }
+
+  renderLayoutOptions() {
+    const options = document.createElement('div');
+    options.className = 'field-creation-options';
+
+    const label = document.createElement('div');
+    label.className = 'field-label';
+    label.textContent = 'Add to page layouts:';
+    options.appendChild(label);
+
+    const list = document.createElement('div');
+    list.className = 'field-creation-choices';
+    this.layouts.forEach(layout => {
+      list.appendChild(this.createCheckbox(layout.name, this.selectedLayouts.has(layout.id),
+        (checked) => this.toggle(this.selectedLayouts, layout.id, checked)));
+    });
+    options.appendChild(list);
+
+    return options;
+  }
+
+  toggle(set, value, checked) {
+    if (checked) {
+      set.add(value);
+    } else {
+      set.delete(value);
+    }
+  }
+
+  createCheckbox(text, checked, onChange) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.addEventListener('change', (e) => onChange(e.target.checked));
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${text}`));
+    return label;
+  }
+
+  renderReport() {
+    const created = this.results.filter(result => result.success).length;
+    const failed = this.results.length - created;
+    const summary = document.createElement('div');
+    summary.className = failed > 0 ? 'preflight-summary invalid' : 'preflight-summary';
+    summary.textContent = `Created ${created} of ${this.results.length} field${this.results.length === 1 ? '' : 's'}` +
+      (failed > 0 ? `; ${failed} failed.` : '.');
+    this.container.appendChild(summary);
+
+    this.followUpErrors.forEach(message => {
+      const item = document.createElement('div');
+      item.className = 'preflight-lookup';
+      item.textContent = message;
+      this.container.appendChild(item);
+    });
+
+    this.layoutResults.forEach(layout => {
+      const item = document.createElement('div');
+      item.className = layout.error ? 'preflight-lookup' : 'preflight-summary';
+      item.textContent = layout.error
+        ? `Layout ${layout.name}: ${layout.error}`
+        : `Added to layout ${layout.name}.`;
+      this.container.appendChild(item);
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'failure-table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'failure-table';
+
+    const headerRow = document.createElement('tr');
+    ['Column', 'Field', 'Type', 'Result'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    this.results.forEach(result => {
+      const tr = document.createElement('tr');
+      if (!result.success) {
+        tr.className = 'field-creation-failed';
+      }
+      [
+        result.suggestion.csvHeader,
+        result.suggestion.developerName,
+        this.describeType(result.suggestion),
+        this.describeResult(result)
+      ].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+
+    wrapper.appendChild(table);
+    this.container.appendChild(wrapper);
+  }
+
+  describeType(suggestion) {
+    switch (suggestion.type) {
+      case 'Text':
+      case 'LongTextArea':
+        return `${suggestion.type}(${suggestion.length})`;
+      case 'Number':
+      case 'Currency':
+      case 'Percent':
+        return `${suggestion.type}(${suggestion.precision || 18}, ${suggestion.scale || 0})`;
+      case 'Picklist':
+      case 'MultiselectPicklist':
+        return `${suggestion.type} (${suggestion.picklistValues.length} values)`;
+      case 'Lookup':
+        return `Lookup(${suggestion.referenceTo})`;
+      case 'Location':
+        return `Geolocation(${suggestion.scale})`;
+      default:
+        return suggestion.type;
+    }
+  }
+
+  describeResult(result) {
+    if (!result.success) {
+      return result.error;
+    }
+
+    const parts = ['Created'];
+    if (result.accessErrors.length > 0) {
+      parts.push(`access not granted for ${result.accessErrors.join('; ')}`);
+    }
+    // New fields are hidden from the describe until field-level security grants access
+    parts.push(result.mapped
+      ? 'mapped'
+      : 'not visible to you yet, so not mapped. Give your profile access, then reload the object');
+    return parts.join(', ');
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FieldCreationPanel;
+} else {
+  window.FieldCreationPanel = FieldCreationPanel;
+}
@@ -0,0 +1,395 @@
+// Field Review
+// Editable table of the fields suggested for unmapped columns. Each row shows the column,
+// the proposed API name, label, type with the values it was inferred from, size and help
+// text, and can be left out. Names are checked against existing fields, the other new
+// fields and reserved words before anything is created.
+class FieldReview {
+  constructor(uploader, onChange) {
+    this.uploader = uploader;
+    this.onChange = onChange; // Runs after every edit, e.g. to enable the create button
+    this.entries = [];
+    this.problemCells = new Map(); // Entry -> cell listing its problems
+  }
+
+  // entries are { suggestion, include } objects, edited in place
+  setEntries(entries) {
+    this.entries = entries;
+  }
+
+  getIncluded() {
+    return this.entries.filter(entry => entry.include).map(entry => entry.suggestion);
+  }
+
+  // Problems per included entry; an empty map means everything can be created
+  validate() {
+    const problems = new Map();
+    const included = this.entries.filter(entry => entry.include);
+    const existingNames = new Set(this.uploader.objectFields.map(field => field.name.toLowerCase()));
+    const existingRelationships = new Set(this.uploader.objectFields
+      .map(field => field.relationshipName)
+      .filter(Boolean)
+      .map(name => name.toLowerCase()));
+    const nameCounts = new Map();
+    included.forEach(({ suggestion }) => {
+      const name = suggestion.developerName.toLowerCase();
+      nameCounts.set(name, (nameCounts.get(name) || 0) + 1);
+    });
+
+    included.forEach(entry => {
+      const errors = this.validateSuggestion(entry.suggestion);
+      const name = entry.suggestion.developerName.toLowerCase();
+      if (existingNames.has(name)) {
+        errors.push('A field with this name already exists');
+      }
+      if (nameCounts.get(name) > 1) {
+        errors.push('Another new field has this name');
+      }
+      if (entry.suggestion.type === 'Lookup' && existingRelationships.has(name.replace(/__c$/, ''))) {
+        errors.push('A lookup with this relationship name already exists');
+      }
+      if (errors.length > 0) {
+        problems.set(entry, errors);
+      }
+    });
+
+    return problems;
+  }
+
+  // Naming rules and the limits of the chosen type
+  validateSuggestion(suggestion) {
+    const errors = [];
+    const baseName = suggestion.developerName.replace(/__c$/, '');
+
+    if (!/__c$/.test(suggestion.developerName)) {
+      errors.push('API name must end in __c');
+    } else if (!/^[A-Za-z][A-Za-z0-9]*(_[A-Za-z0-9]+)*$/.test(baseName)) {
+      errors.push('API name must start with a letter and use only letters, numbers and single underscores');
+    } else if (baseName.length > FieldReview.NAME_LENGTH) {
+      errors.push(`API name can have at most ${FieldReview.NAME_LENGTH} characters before __c`);
+    } else if (FieldReview.RESERVED_WORDS.includes(baseName.toLowerCase())) {
+      errors.push(`${baseName} is a reserved word`);
+    }
+
+    if (!suggestion.label.trim()) {
+      errors.push('Label is required');
+    } else if (suggestion.label.length > FieldReview.LABEL_LENGTH) {
+      errors.push(`Label can have at most ${FieldReview.LABEL_LENGTH} characters`);
+    }
+
+    if (suggestion.helpText && suggestion.helpText.length > FieldReview.HELP_TEXT_LENGTH) {
+      errors.push(`Help text can have at most ${FieldReview.HELP_TEXT_LENGTH} characters`);
+    }
+
+    switch (suggestion.type) {
+      case 'Text':
+        if (!(suggestion.length >= 1 && suggestion.length <= 255)) {
+          errors.push('Text length must be 1 to 255');
+        }
+        break;
+      case 'LongTextArea':
+        if (!(suggestion.length >= 256 && suggestion.length <= 131072)) {
+          errors.push('Long text length must be 256 to 131,072');
+        }
+        break;
+      case 'Number':
+      case 'Currency':
+      case 'Percent':
+        if (!(suggestion.precision >= 1 && suggestion.precision <= 18)) {
+          errors.push('Precision must be 1 to 18');
+        } else if (!(suggestion.scale >= 0 && suggestion.scale <= suggestion.precision)) {
+          errors.push('Decimal places must be 0 to the precision');
+        }
+        break;
+      case 'Picklist':
+      case 'MultiselectPicklist':
+        if (suggestion.picklistValues.length === 0) {
+          errors.push('The column has no values for the picklist');
+        }
+        break;
+      case 'Lookup':
+        if (!suggestion.referenceTo) {
+          errors.push('Choose the object to look up');
+        }
+        break;
+      case 'Location':
+        if (!(suggestion.scale >= 0 && suggestion.scale <= 15)) {
+          errors.push('Decimal places must be 0 to 15');
+        }
+        break;
+    }
+
+    return errors;
+  }
+
+  render() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'failure-table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'failure-table';
+    this.problemCells = new Map();
+
+    const headerRow = document.createElement('tr');
+    ['Create', 'Column', 'API Name', 'Label', 'Type', 'Size', 'Help Text', 'Values', 'Problems'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    this.entries.forEach(entry => table.appendChild(this.renderRow(entry)));
+
+    wrapper.appendChild(table);
+    this.refreshProblems();
+    return wrapper;
+  }
+
+  renderRow(entry) {
+    const { suggestion } = entry;
+    const tr = document.createElement('tr');
+
+    const includeBox = document.createElement('input');
+    includeBox.type = 'checkbox';
+    includeBox.checked = entry.include;
+    includeBox.title = 'Create this field';
+    includeBox.addEventListener('change', (e) => {
+      entry.include = e.target.checked;
+      this.refreshProblems();
+    });
+    tr.appendChild(this.createCell(includeBox));
+    tr.appendChild(this.createCell(suggestion.csvHeader));
+
+    tr.appendChild(this.createCell(this.createTextInput(suggestion.developerName, (value) => {
+      suggestion.developerName = value.trim();
+    })));
+    tr.appendChild(this.createCell(this.createTextInput(suggestion.label, (value) => {
+      suggestion.label = value;
+    })));
+
+    const typeSelect = document.createElement('select');
+    FieldReview.TYPES.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = suggestion.type;
+    typeSelect.addEventListener('change', (e) => {
+      this.applyType(suggestion, e.target.value);
+      tr.replaceWith(this.renderRow(entry));
+      this.refreshProblems();
+    });
+    tr.appendChild(this.createCell(typeSelect));
+
+    tr.appendChild(this.createCell(this.renderSize(suggestion)));
+    tr.appendChild(this.createCell(this.createTextInput(suggestion.helpText || '', (value) => {
+      suggestion.helpText = value;
+    })));
+    tr.appendChild(this.createCell(this.describeEvidence(suggestion)));
+
+    const problemCell = this.createCell('');
+    problemCell.className = 'field-review-problems';
+    this.problemCells.set(entry, problemCell);
+    tr.appendChild(problemCell);
+
+    return tr;
+  }
+
+  // Length, precision and decimal places, picklist value count or lookup object
+  renderSize(suggestion) {
+    const container = document.createElement('span');
+
+    switch (suggestion.type) {
+      case 'Text':
+      case 'LongTextArea':
+        container.appendChild(this.createNumberInput(suggestion.length, 'Length', (value) => {
+          suggestion.length = value;
+        }));
+        break;
+      case 'Number':
+      case 'Currency':
+      case 'Percent':
+        container.appendChild(this.createNumberInput(suggestion.precision, 'Total digits', (value) => {
+          suggestion.precision = value;
+        }));
+        container.appendChild(document.createTextNode(' , '));
+        container.appendChild(this.createNumberInput(suggestion.scale, 'Decimal places', (value) => {
+          suggestion.scale = value;
+        }));
+        break;
+      case 'Picklist':
+      case 'MultiselectPicklist':
+        container.textContent = `${suggestion.picklistValues.length} values`;
+        container.title = suggestion.picklistValues.slice(0, FieldReview.VALUES_SHOWN).join('\n');
+        break;
+      case 'Location':
+        container.appendChild(this.createNumberInput(suggestion.scale, 'Decimal places', (value) => {
+          suggestion.scale = value;
+        }));
+        break;
+      case 'Lookup': {
+        const objectSelect = document.createElement('select');
+        objectSelect.innerHTML = '<option value="">Object...</option>';
+        this.uploader.salesforceObjects.forEach(obj => {
+          const option = document.createElement('option');
+          option.value = obj.name;
+          option.textContent = obj.label;
+          objectSelect.appendChild(option);
+        });
+        objectSelect.value = suggestion.referenceTo || '';
+        objectSelect.addEventListener('change', (e) => {
+          suggestion.referenceTo = e.target.value || null;
+          this.refreshProblems();
+        });
+        container.appendChild(objectSelect);
+        break;
+      }
+    }
+
+    return container;
+  }
+
+  // Settings a new type needs, keeping what the current type already had where it fits
+  applyType(suggestion, type) {
+    suggestion.type = type;
+
+    switch (type) {
+      case 'Text':
+        suggestion.length = Math.min(255, Math.max(suggestion.evidence.maxLength, suggestion.length || 0) || 255);
+        break;
+      case 'LongTextArea':
+        suggestion.length = suggestion.length > 255 ? suggestion.length : 32768;
+        suggestion.visibleLines = suggestion.visibleLines || 5;
+        break;
+      case 'Number':
+      case 'Currency':
+      case 'Percent':
+        suggestion.precision = suggestion.precision || 18;
+        suggestion.scale = suggestion.scale || (type === 'Number' ? 0 : 2);
+        break;
+      case 'Picklist':
+      case 'MultiselectPicklist':
+        suggestion.picklistValues = this.uploader.csvProcessor.getPicklistValues(
+          suggestion.csvHeader, type === 'MultiselectPicklist');
+        break;
+      case 'Location':
+        suggestion.scale = suggestion.scale || 6;
+        suggestion.separator = suggestion.separator || ',';
+        break;
+    }
+  }
+
+  // The values the type was inferred from, and how many fit each candidate type
+  describeEvidence(suggestion) {
+    const { samples, maxLength, type, candidates, mismatches, sampled } = suggestion.evidence;
+    if (samples.length === 0) {
+      return 'No values';
+    }
+    const shares = candidates
+      .slice(0, FieldReview.CANDIDATES_SHOWN)
+      .map(candidate => `${Math.round(candidate.share * 100)}% ${candidate.type}`);
+    // Values the inferred type will not accept as they are
+    const misfits = mismatches.length > 0
+      ? `; not ${type}: ${mismatches.slice(0, FieldReview.MISMATCHES_SHOWN).join(', ')}` +
+        (mismatches.length > FieldReview.MISMATCHES_SHOWN ? ', …' : '')
+      : '';
+    return `${samples.join(', ')} (longest ${maxLength}` +
+      (shares.length > 0 ? `; ${shares.join(', ')}${sampled ? ' of a sample' : ''}` : '') + misfits + ')';
+  }
+
+  refreshProblems() {
+    const problems = this.validate();
+    this.problemCells.forEach((cell, entry) => {
+      cell.textContent = entry.include ? (problems.get(entry) || []).join('; ') : 'Not created';
+    });
+    if (this.onChange) {
+      this.onChange(problems);
+    }
+  }
+
+  createCell(content) {
+    const td = document.createElement('td');
+    if (typeof content === 'string') {
+      td.textContent = content;
+    } else {
+      td.appendChild(content);
+    }
+    return td;
+  }
+
+  createTextInput(value, onInput) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value;
+    input.addEventListener('input', (e) => {
+      onInput(e.target.value);
+      this.refreshProblems();
+    });
+    return input;
+  }
+
+  createNumberInput(value, title, onInput) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'field-review-number';
+    input.title = title;
+    input.value = value === null || value === undefined ? '' : value;
+    input.addEventListener('input', (e) => {
+      onInput(e.target.value === '' ? null : Number(e.target.value));
+      this.refreshProblems();
+    });
+    return input;
+  }
+}
+
+// Tooling API type names and how they are shown
+FieldReview.TYPES = [
+  ['Text', 'Text'],
+  ['LongTextArea', 'Long Text Area'],
+  ['Number', 'Number'],
+  ['Currency', 'Currency'],
+  ['Percent', 'Percent'],
+  ['Checkbox', 'Checkbox'],
+  ['Date', 'Date'],
+  ['DateTime', 'Date/Time'],
+  ['Email', 'Email'],
+  ['Phone', 'Phone'],
+  ['Url', 'URL'],
+  ['Picklist', 'Picklist'],
+  ['MultiselectPicklist', 'Multi-Select Picklist'],
+  ['Lookup', 'Lookup'],
+  ['Location', 'Geolocation']
+];
+
+FieldReview.NAME_LENGTH = 40;
+
+FieldReview.LABEL_LENGTH = 40;
+
+FieldReview.HELP_TEXT_LENGTH = 510;
+
+FieldReview.VALUES_SHOWN = 20;
+
+FieldReview.CANDIDATES_SHOWN = 3;
+
+FieldReview.MISMATCHES_SHOWN = 5;
+
+// SOQL and Apex keywords Salesforce refuses as custom field names
+FieldReview.RESERVED_WORDS = [
+  'abstract', 'and', 'any', 'array', 'as', 'asc', 'autonomous', 'begin', 'bigdecimal', 'blob', 'break',
+  'bulk', 'by', 'byte', 'case', 'cast', 'catch', 'char', 'class', 'collect', 'commit', 'const', 'continue',
+  'convertcurrency', 'decimal', 'default', 'delete', 'desc', 'do', 'else', 'end', 'enum', 'exception',
+  'exit', 'export', 'extends', 'false', 'final', 'finally', 'float', 'for', 'from', 'future', 'global',
+  'goto', 'group', 'having', 'hint', 'if', 'implements', 'import', 'in', 'inner', 'insert', 'instanceof',
+  'interface', 'into', 'int', 'join', 'like', 'limit', 'list', 'long', 'loop', 'map', 'merge', 'new',
+  'not', 'null', 'nulls', 'number', 'object', 'of', 'on', 'or', 'order', 'outer', 'override', 'package', 'parallel',
+  'pragma', 'private', 'protected', 'public', 'retrieve', 'return', 'rollback', 'select', 'set', 'short',
+  'sort', 'static', 'super', 'switch', 'synchronized', 'system', 'testmethod', 'then', 'this', 'throw',
+  'transaction', 'trigger', 'true', 'try', 'undelete', 'update', 'upsert', 'using', 'virtual', 'void',
+  'webservice', 'when', 'where', 'while'
+];
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FieldReview;
+} else {
+  window.FieldReview = FieldReview;
+}
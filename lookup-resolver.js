@@ -0,0 +1,144 @@
+// Lookup Resolver
+// Turns natural-key values in lookup columns (e.g. an Account Name) into record IDs
+// by querying the parent object, and reports values that match no record or several.
+class LookupResolver {
+  constructor(api) {
+    this.api = api;
+  }
+
+  // Resolve every 'query' lookup on the processor; results are stored on the processor
+  // and a summary per column is returned for the report
+  async resolve(processor) {
+    const summary = [];
+    processor.lookupResults = {};
+
+    for (const [column, lookup] of Object.entries(processor.lookups)) {
+      if (lookup.mode !== 'query' || !processor.mappings[column]) continue;
+
+      const values = this.collectValues(processor, column);
+      const matches = await this.queryMatches(lookup, values);
+      processor.lookupResults[column] = { matches };
+
+      const unmatched = values.filter(value => !matches[value.toLowerCase()]);
+      const ambiguous = values
+        .filter(value => (matches[value.toLowerCase()] || []).length > 1)
+        .map(value => ({ value, count: matches[value.toLowerCase()].length }));
+
+      summary.push({ column, ...lookup, valueCount: values.length, unmatched, ambiguous });
+    }
+
+    return summary;
+  }
+
+  // Distinct non-empty values of the column after its transforms
+  collectValues(processor, column) {
+    const values = new Map();
+
+    (processor.csvData || []).forEach(row => {
+      let value;
+      try {
+        value = processor.getTransformedValue(row, column).trim();
+      } catch (error) {
+        return; // Reported by the pre-flight checks
+      }
+      if (value && !values.has(value.toLowerCase())) {
+        values.set(value.toLowerCase(), value);
+      }
+    });
+
+    return [...values.values()];
+  }
+
+  // Lowercased value -> IDs of parent records with that value, queried in chunks.
+  // Numbers compare by value, so a file's 42.0 matches a record's 42
+  async queryMatches(lookup, values) {
+    const metadata = await this.api.getObjectMetadata(lookup.parentObject);
+    const field = metadata.fields.find(candidate => candidate.name === lookup.matchField);
+    const isNumber = Boolean(field) && LookupResolver.NUMBER_TYPES.includes(field.type);
+    const keyOf = value => isNumber ? String(Number(value)) : String(value).toLowerCase();
+    const validValues = values.filter(value => LookupResolver.isValidLiteral(value, field));
+    const idsByKey = new Map();
+
+    for (const chunk of this.chunkValues(validValues)) {
+      const inList = chunk.map(value => LookupResolver.toSOQLLiteral(value, field)).join(',');
+      const records = await this.api.query(
+        `SELECT Id, ${lookup.matchField} FROM ${lookup.parentObject} WHERE ${lookup.matchField} IN (${inList})`
+      );
+
+      records.forEach(record => {
+        const key = keyOf(record[lookup.matchField]);
+        idsByKey.set(key, [...(idsByKey.get(key) || []), record.Id]);
+      });
+    }
+
+    const matches = {};
+    validValues.forEach(value => {
+      const ids = idsByKey.get(keyOf(value));
+      if (ids) {
+        matches[value.toLowerCase()] = ids;
+      }
+    });
+    return matches;
+  }
+
+  // Keep each query's IN list well under the URL length limit
+  chunkValues(values) {
+    const chunks = [];
+    let current = [];
+    let length = 0;
+
+    values.forEach(value => {
+      const valueLength = encodeURIComponent(value).length + 3;
+      if (current.length > 0 && (current.length >= LookupResolver.MAX_VALUES_PER_QUERY ||
+          length + valueLength > LookupResolver.MAX_IN_LIST_LENGTH)) {
+        chunks.push(current);
+        current = [];
+        length = 0;
+      }
+      current.push(value);
+      length += valueLength;
+    });
+
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+    return chunks;
+  }
+
+  static escapeSOQL(value) {
+    return value
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r');
+  }
+
+  // Numbers, dates and checkboxes are unquoted in SOQL; everything else is a string
+  static toSOQLLiteral(value, field) {
+    return field && LookupResolver.UNQUOTED_TYPES.includes(field.type) ? value : `'${LookupResolver.escapeSOQL(value)}'`;
+  }
+
+  // Unquoted values that would break the query cannot match anything anyway
+  static isValidLiteral(value, field) {
+    if (!field || !LookupResolver.UNQUOTED_TYPES.includes(field.type)) return true;
+    if (field.type === 'date') return /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (field.type === 'boolean') return value === 'true' || value === 'false';
+    return /^[-+]?\d*\.?\d+$/.test(value);
+  }
+}
+
+LookupResolver.MAX_VALUES_PER_QUERY = 200;
+
+LookupResolver.NUMBER_TYPES = ['int', 'double', 'currency', 'percent', 'long'];
+
+LookupResolver.UNQUOTED_TYPES = [...LookupResolver.NUMBER_TYPES, 'date', 'boolean'];
+
+// Encoded characters in one IN list; GET query URLs are limited to about 16 KB
+LookupResolver.MAX_IN_LIST_LENGTH = 8000;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LookupResolver;
+} else {
+  window.LookupResolver = LookupResolver;
+}
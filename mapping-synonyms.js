@@ -0,0 +1,91 @@
+// Learned Mapping Synonyms
+// Remembers which field each CSV header was mapped to, per org and SObject, so
+// mapping suggestions pick up an org's own naming. Entries are kept in
+// chrome.storage.local as { [instanceUrl]: { [objectName]: { [header]: entry } } }.
+class MappingSynonymStore {
+  constructor() {
+    this.storageKey = 'sf_mapping_synonyms';
+    this.writing = Promise.resolve(); // Last queued read-modify-write
+  }
+
+  async loadAll() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || {};
+  }
+
+  async saveAll(synonyms) {
+    await chrome.storage.local.set({ [this.storageKey]: synonyms });
+  }
+
+  // Learned header -> field name pairs for one object
+  async load(orgKey, objectName) {
+    const synonyms = await this.loadAll();
+    const entries = (synonyms[orgKey] || {})[objectName] || {};
+
+    const learned = {};
+    Object.entries(entries).forEach(([header, entry]) => {
+      learned[header] = entry.field;
+    });
+    return learned;
+  }
+
+  // Run read-modify-write updates one at a time, so one never overwrites another's changes
+  update(change) {
+    const write = this.writing.then(change);
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  // Record mappings the user kept or chose; a different field for a known header replaces it
+  learn(orgKey, objectName, mappings) {
+    return this.update(() => this.applyLearned(orgKey, objectName, mappings));
+  }
+
+  async applyLearned(orgKey, objectName, mappings) {
+    const synonyms = await this.loadAll();
+    const objects = synonyms[orgKey] || (synonyms[orgKey] = {});
+    const entries = objects[objectName] || (objects[objectName] = {});
+    const now = Date.now();
+
+    Object.entries(mappings).forEach(([csvHeader, fieldName]) => {
+      const header = MappingSynonymStore.headerKey(csvHeader);
+      const existing = entries[header];
+      entries[header] = {
+        field: fieldName,
+        count: existing && existing.field === fieldName ? existing.count + 1 : 1,
+        updatedAt: now
+      };
+    });
+
+    await this.saveAll(synonyms);
+  }
+
+  // Drop a header the user explicitly left unmapped
+  forget(orgKey, objectName, csvHeader) {
+    return this.update(() => this.applyForget(orgKey, objectName, csvHeader));
+  }
+
+  async applyForget(orgKey, objectName, csvHeader) {
+    const synonyms = await this.loadAll();
+    const entries = (synonyms[orgKey] || {})[objectName];
+    const header = MappingSynonymStore.headerKey(csvHeader);
+
+    if (entries && entries[header]) {
+      delete entries[header];
+      await this.saveAll(synonyms);
+    }
+  }
+
+  // Case and punctuation do not matter, but an Id suffix does: "Account" and "Account ID"
+  // usually go to different fields
+  static headerKey(csvHeader) {
+    return csvHeader.toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MappingSynonymStore;
+} else {
+  window.MappingSynonymStore = MappingSynonymStore;
+}
@@ -0,0 +1,117 @@
+// Mapping Template Store
+// Named, reusable column mappings per SObject, persisted in chrome.storage.local.
+// A template remembers the header set it was built from so it can be applied
+// automatically when a file with the same columns is loaded again.
+class MappingTemplateStore {
+  constructor() {
+    this.storageKey = 'sf_mapping_templates';
+  }
+
+  async loadAll() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || [];
+  }
+
+  async saveAll(templates) {
+    await chrome.storage.local.set({ [this.storageKey]: templates });
+  }
+
+  async list(objectName) {
+    const templates = await this.loadAll();
+    return templates
+      .filter(template => template.objectName === objectName)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Create or replace the template with the same name for the same object
+  async save({ name, objectName, headers, mappings, transforms, derivedColumns, lookups, formatOptions, operation, externalIdField }) {
+    const templates = await this.loadAll();
+    const now = Date.now();
+    const existing = templates.find(t => t.objectName === objectName && t.name === name);
+
+    const template = {
+      id: existing ? existing.id : crypto.randomUUID(),
+      name: name,
+      objectName: objectName,
+      headers: [...headers],
+      headerSignature: MappingTemplateStore.headerSignature(headers),
+      mappings: { ...mappings },
+      transforms: transforms || {},
+      derivedColumns: derivedColumns || {},
+      lookups: lookups || {},
+      formatOptions: formatOptions || null,
+      operation: operation || 'insert',
+      externalIdField: externalIdField || null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    await this.saveAll([...templates.filter(t => t.id !== template.id), template]);
+    return template;
+  }
+
+  async delete(id) {
+    const templates = await this.loadAll();
+    await this.saveAll(templates.filter(t => t.id !== id));
+  }
+
+  // Most recently updated template for this object built from exactly these headers
+  async findMatch(objectName, headers) {
+    const signature = MappingTemplateStore.headerSignature(headers);
+    const templates = await this.list(objectName);
+    return templates
+      .filter(template => template.headerSignature === signature)
+      .sort((a, b) => b.updatedAt - a.updatedAt)[0] || null;
+  }
+
+  exportTemplates(templates) {
+    return JSON.stringify({
+      format: 'sf-csv-uploader-mapping-templates',
+      version: 1,
+      templates: templates.map(({ id, ...template }) => template)
+    }, null, 2);
+  }
+
+  // Import templates from exported JSON; same-named templates for an object are replaced
+  async importTemplates(jsonText) {
+    let parsed;
+    try {
+      parsed = JSON.parse(jsonText);
+    } catch (error) {
+      throw new Error(`Invalid template file: ${error.message}`);
+    }
+
+    const incoming = Array.isArray(parsed) ? parsed : parsed.templates;
+    if (!Array.isArray(incoming)) {
+      throw new Error('Invalid template file: no templates found');
+    }
+
+    const imported = [];
+    for (const template of incoming) {
+      if (!template.name || !template.objectName || !template.mappings || !Array.isArray(template.headers)) {
+        throw new Error('Invalid template file: each template needs name, objectName, headers and mappings');
+      }
+      imported.push(await this.save(template));
+    }
+    return imported;
+  }
+
+  // Order- and case-insensitive fingerprint of a header set
+  static headerSignature(headers) {
+    return headers
+      .map(header => MappingTemplateStore.headerKey(header))
+      .sort()
+      .join('|');
+  }
+
+  static headerKey(header) {
+    return header.trim().toLowerCase();
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MappingTemplateStore;
+} else {
+  window.MappingTemplateStore = MappingTemplateStore;
+}
@@ -9,6 +9,22 @@ class SalesforceCSVUploader {
     this.salesforceObjects = [];
     this.selectedObject = null;
     this.objectFields = [];
+    this.operation = 'insert';
+    this.externalIdField = null;
+    this.uploadStore = new UploadDataStore();
+    this.watchedUploadId = null;
+    this.finishedUploadId = null;
+    this.historyPanel = new UploadHistoryPanel(this);
+    this.failureReview = new FailureReview(this);
+    this.templateStore = new MappingTemplateStore();
+    this.synonymStore = new MappingSynonymStore();
+    this.transformEditor = new TransformEditor(this);
+    this.preflightReport = new PreflightReport(this);
+    this.relatedObjects = new RelatedObjectsPanel(this);
+    this.duplicateReview = new DuplicateReview(this);
+    this.fieldCreation = new FieldCreationPanel(this);
+    this.dataProfile = new DataProfilePanel(this);
+    this.parentFieldsCache = {};
     
     this.initializeEventListeners();
     this.checkAuthStatus();
@@ -21,15 +37,54 @@ class SalesforceCSVUploader {
     
     // File upload
     document.getElementById('csv-file').addEventListener('change', (e) => this.handleFileUpload(e));
+    document.getElementById('sheet-select').addEventListener('change', (e) => this.handleSheetChange(e));
+    ['delimiter-select', 'quote-select', 'encoding-select'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.handleDialectOverride());
+    });
     
     // Object selection
     document.getElementById('object-select').addEventListener('change', (e) => this.handleObjectSelection(e));
     
+    // Operation selection
+    document.getElementById('operation-select').addEventListener('change', (e) => this.handleOperationChange(e));
+    document.getElementById('external-id-select').addEventListener('change', (e) => {
+      this.externalIdField = e.target.value || null;
+      this.updateUploadStep();
+    });
+    
+    // Mapping templates
+    document.getElementById('template-select').addEventListener('change', (e) => this.handleTemplateSelection(e));
+    document.getElementById('template-save-btn').addEventListener('click', () => this.saveTemplate());
+    document.getElementById('template-delete-btn').addEventListener('click', () => this.deleteTemplate());
+    document.getElementById('template-export-btn').addEventListener('click', () => this.exportTemplates());
+    document.getElementById('template-import-btn').addEventListener('click', () => {
+      document.getElementById('template-import-file').click();
+    });
+    document.getElementById('template-import-file').addEventListener('change', (e) => this.importTemplates(e));
+    
+    // Column transforms
+    document.getElementById('add-derived-column-btn').addEventListener('click', () => this.addDerivedColumn());
+    
+    // Value formatting
+    this.populateTimeZoneSelect();
+    ['date-format-input', 'timezone-select', 'decimal-select'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.handleFormatOptionsChange());
+    });
+    
     // Field creation
-    document.getElementById('create-fields-btn').addEventListener('click', () => this.createMissingFields());
+    document.getElementById('create-fields-btn').addEventListener('click', () => this.fieldCreation.open());
     
     // Upload
     document.getElementById('upload-btn').addEventListener('click', () => this.uploadData());
+    document.getElementById('validate-btn').addEventListener('click', () => this.validateData());
+    document.getElementById('dry-run-btn').addEventListener('click', () => this.dryRun());
+    
+    // Progress of uploads owned by the background service worker
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.sf_uploads) {
+        this.handleUploadsChanged(changes.sf_uploads.newValue || {});
+      }
+    });
   }
 
   async checkAuthStatus() {
@@ -39,6 +94,7 @@ class SalesforceCSVUploader {
         this.api = new SalesforceAPI(tokenData.accessToken, tokenData.instanceUrl);
         this.updateConnectionStatus(true);
         this.loadSalesforceObjects();
+        this.reattachUploads();
       }
     } catch (error) {
       console.log('No valid auth token found');
@@ -67,6 +123,7 @@ class SalesforceCSVUploader {
     try {
       await this.auth.logout();
       this.api = null;
+      this.parentFieldsCache = {};
       this.updateConnectionStatus(false);
       this.resetForm();
     } catch (error) {
@@ -129,24 +186,108 @@ class SalesforceCSVUploader {
     const file = event.target.files[0];
     if (!file) return;
     
-    if (!file.name.toLowerCase().endsWith('.csv')) {
-      this.showError('Please select a CSV file');
+    const fileName = file.name.toLowerCase();
+    if (!CSVProcessor.SUPPORTED_EXTENSIONS.some(extension => fileName.endsWith(extension))) {
+      this.showError(`Please select a ${CSVProcessor.SUPPORTED_EXTENSIONS.join(', ')} file`);
       return;
     }
     
+    this.currentFile = file;
+    await this.loadFile(file);
+  }
+
+  // Re-parse the current file with the dialect chosen in the override selects
+  async handleDialectOverride() {
+    if (!this.currentFile) return;
+    
+    const dialect = {
+      delimiter: document.getElementById('delimiter-select').value,
+      quote: document.getElementById('quote-select').value,
+      encoding: document.getElementById('encoding-select').value
+    };
+    
+    await this.loadFile(this.currentFile, { dialect });
+    await this.refreshMappingsAfterReparse();
+  }
+
+  async handleSheetChange(event) {
+    if (!this.currentFile) return;
+    
+    await this.loadFile(this.currentFile, { sheet: event.target.value });
+    await this.refreshMappingsAfterReparse();
+  }
+
+  // Headers may have changed, so rebuild mappings for the selected object
+  async refreshMappingsAfterReparse() {
+    if (!this.selectedObject) return;
+    
+    try {
+      this.csvProcessor.clearMappings();
+      await this.generateFieldMappings();
+    } catch (error) {
+      this.showError(`Failed to rebuild field mappings: ${error.message}`);
+    }
+  }
+
+  async loadFile(file, options = {}) {
     try {
-      this.currentFile = file;
-      const parseResult = await this.csvProcessor.parseCSV(file);
+      const fileInfoEl = document.getElementById('file-info');
+      fileInfoEl.textContent = 'Reading file...';
+      fileInfoEl.classList.remove('hidden');
+      
+      const parseResult = await this.csvProcessor.parseFile(file, {
+        ...options,
+        onProgress: (fraction) => {
+          fileInfoEl.textContent = `Reading file... ${Math.round(fraction * 100)}%`;
+        }
+      });
       
       this.displayFileInfo(file, parseResult);
+      this.displayFormatOptions(parseResult);
+      this.dataProfile.enable();
+      this.relatedObjects.reset();
+      this.duplicateReview.reset();
+      this.fieldCreation.reset();
       this.enableStep('step-object');
       this.hideError();
       
     } catch (error) {
+      document.getElementById('file-info').classList.add('hidden');
+      this.dataProfile.reset();
       this.showError(`File processing failed: ${error.message}`);
     }
   }
 
+  // Show the dialect overrides for delimited text, or the sheet picker for workbooks
+  displayFormatOptions(parseResult) {
+    const dialectOptions = document.getElementById('dialect-options');
+    const sheetOptions = document.getElementById('sheet-options');
+    
+    if (parseResult.dialect) {
+      document.getElementById('delimiter-select').value = parseResult.dialect.delimiter;
+      document.getElementById('quote-select').value = parseResult.dialect.quote;
+      document.getElementById('encoding-select').value = parseResult.dialect.encoding;
+      dialectOptions.classList.remove('hidden');
+    } else {
+      dialectOptions.classList.add('hidden');
+    }
+    
+    if (parseResult.sheets && parseResult.sheets.length > 1) {
+      const select = document.getElementById('sheet-select');
+      select.innerHTML = '';
+      parseResult.sheets.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+      });
+      select.value = parseResult.sheet;
+      sheetOptions.classList.remove('hidden');
+    } else {
+      sheetOptions.classList.add('hidden');
+    }
+  }
+
   displayFileInfo(file, parseResult) {
     const fileInfoEl = document.getElementById('file-info');
     fileInfoEl.innerHTML = `
@@ -154,8 +295,21 @@ class SalesforceCSVUploader {
       <strong>Size:</strong> ${(file.size / 1024).toFixed(1)} KB<br>
       <strong>Rows:</strong> ${parseResult.rowCount}<br>
       <strong>Columns:</strong> ${parseResult.headers.length}<br>
+      <strong>Format:</strong> ${this.csvProcessor.describeFormat(parseResult)}<br>
       <strong>Headers:</strong> ${parseResult.headers.join(', ')}
     `;
+    
+    if (parseResult.errors.length > 0) {
+      const shownErrors = parseResult.errors.slice(0, 5);
+      fileInfoEl.innerHTML += `
+        <div class="parse-errors">
+          <strong>${parseResult.errors.length} row(s) could not be read cleanly:</strong>
+          <ul>
+            ${shownErrors.map(error => `<li>Row ${error.row} (line ${error.line}): ${error.message}</li>`).join('')}
+          </ul>
+        </div>
+      `;
+    }
     fileInfoEl.classList.remove('hidden');
   }
 
@@ -168,20 +322,81 @@ class SalesforceCSVUploader {
       this.showLoading('object-select', 'Loading fields...');
       
       const metadata = await this.api.getObjectMetadata(objectName);
+      // Another object was chosen while this one loaded
+      if (this.selectedObject !== objectName) return;
       this.objectFields = metadata.fields;
+      this.csvProcessor.setObjectFields(this.objectFields);
       
-      this.generateFieldMappings();
+      this.populateExternalIdSelect();
+      this.duplicateReview.reset();
+      this.fieldCreation.reset();
+      await this.generateFieldMappings();
+      if (this.selectedObject !== objectName) return;
       this.enableStep('step-mapping');
       
     } catch (error) {
       this.showError(`Failed to load object fields: ${error.message}`);
     } finally {
-      this.hideLoading('object-select');
+      if (this.selectedObject === objectName) {
+        this.hideLoading('object-select');
+      }
     }
   }
 
-  generateFieldMappings() {
+  handleOperationChange(event) {
+    this.operation = event.target.value;
+    
+    const externalIdGroup = document.getElementById('external-id-group');
+    if (this.operation === 'upsert') {
+      externalIdGroup.classList.remove('hidden');
+    } else {
+      externalIdGroup.classList.add('hidden');
+    }
+    
+    if (this.objectFields.length > 0) {
+      this.updateUploadStep();
+    }
+  }
+
+  populateExternalIdSelect() {
+    const select = document.getElementById('external-id-select');
+    select.innerHTML = '<option value="">Select an external ID field...</option>';
+    
+    // Upsert can match on any external ID or idLookup field (which includes Id)
+    const matchFields = this.objectFields.filter(field => field.externalId || field.idLookup);
+    matchFields.forEach(field => {
+      const option = document.createElement('option');
+      option.value = field.name;
+      option.textContent = `${field.label} (${field.name})`;
+      select.appendChild(option);
+    });
+    
+    // Keep the previous choice if the new object has the same field
+    if (this.externalIdField && matchFields.some(field => field.name === this.externalIdField)) {
+      select.value = this.externalIdField;
+    } else {
+      this.externalIdField = null;
+    }
+  }
+
+  // Stops without touching the mappings when another object is selected while it waits
+  async generateFieldMappings() {
     const csvHeaders = this.csvProcessor.headers;
+    const objectName = this.selectedObject;
+    
+    // Fields this org has mapped these headers to before, and a saved template for the
+    // same object and header set
+    const learned = await this.synonymStore.load(this.api.instanceUrl, objectName).catch(() => ({}));
+    const template = await this.templateStore.findMatch(objectName, csvHeaders)
+      .catch(() => null);
+    if (this.selectedObject !== objectName) return;
+    
+    // Learned mappings only count if their fields still exist
+    const fieldNames = new Set(this.objectFields.map(field => field.name));
+    this.csvProcessor.setLearnedMappings(
+      Object.fromEntries(Object.entries(learned).filter(([, fieldName]) => fieldNames.has(fieldName)))
+    );
+    
     const suggestions = this.csvProcessor.generateMappingSuggestions(csvHeaders, this.objectFields);
     
     // Apply suggestions as default mappings
@@ -189,22 +404,191 @@ class SalesforceCSVUploader {
       this.csvProcessor.setMapping(csvField, sfField);
     });
     
+    // The template takes precedence
+    if (template) {
+      this.applyTemplate(template);
+    }
+    
+    await this.populateTemplateSelect(template ? template.id : '');
+    if (this.selectedObject !== objectName) return;
+    this.showTemplateNote(template ? `Applied saved template '${template.name}'` : '');
     this.renderMappingInterface();
+    this.relatedObjects.render();
+  }
+
+  // Mapping templates
+  async populateTemplateSelect(selectedId = '') {
+    const select = document.getElementById('template-select');
+    select.innerHTML = '<option value="">No template</option>';
+    
+    const templates = await this.templateStore.list(this.selectedObject);
+    templates.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.name;
+      select.appendChild(option);
+    });
+    
+    select.value = selectedId;
+  }
+
+  // Replace the current mappings and transforms with a template's, keeping only columns and fields that exist
+  applyTemplate(template) {
+    const fieldNames = new Set(this.objectFields.map(field => field.name));
+    
+    // Templates match headers regardless of case and spacing, so use the file's spelling
+    const headers = new Map(this.csvProcessor.headers.map(header => [MappingTemplateStore.headerKey(header), header]));
+    const toColumn = (column) => headers.get(MappingTemplateStore.headerKey(column)) || column;
+    const renameKeys = (object = {}) => Object.fromEntries(Object.entries(object).map(([column, value]) => [toColumn(column), value]));
+    const derivedColumns = {};
+    Object.entries(template.derivedColumns || {}).forEach(([name, column]) => {
+      derivedColumns[name] = { ...column, source: column.source && toColumn(column.source) };
+    });
+    
+    this.csvProcessor.clearMappings();
+    this.csvProcessor.applyTransformConfig(renameKeys(template.transforms), derivedColumns);
+    this.csvProcessor.applyLookups(renameKeys(template.lookups));
+    const columns = new Set(this.csvProcessor.getColumns());
+    Object.entries(renameKeys(template.mappings)).forEach(([csvField, sfField]) => {
+      if (columns.has(csvField) && fieldNames.has(sfField)) {
+        this.csvProcessor.setMapping(csvField, sfField);
+      }
+    });
+    
+    if (template.operation) {
+      this.operation = template.operation;
+      document.getElementById('operation-select').value = template.operation;
+      document.getElementById('external-id-group').classList.toggle('hidden', template.operation !== 'upsert');
+      if (template.operation !== 'upsert') {
+        this.externalIdField = null;
+        document.getElementById('external-id-select').value = '';
+      }
+    }
+    if (template.formatOptions) {
+      this.csvProcessor.setFormatOptions(template.formatOptions);
+      this.renderFormatOptions();
+      this.dataProfile.refresh();
+    }
+    if (this.operation === 'upsert' && template.externalIdField && fieldNames.has(template.externalIdField)) {
+      this.externalIdField = template.externalIdField;
+      document.getElementById('external-id-select').value = template.externalIdField;
+    }
+  }
+
+  async handleTemplateSelection(event) {
+    const templateId = event.target.value;
+    if (!templateId) return;
+    
+    const templates = await this.templateStore.list(this.selectedObject);
+    const template = templates.find(t => t.id === templateId);
+    if (template) {
+      this.applyTemplate(template);
+      this.showTemplateNote(`Applied template '${template.name}'`);
+      this.renderMappingInterface();
+    }
+  }
+
+  async saveTemplate() {
+    const select = document.getElementById('template-select');
+    const currentName = select.value ? select.options[select.selectedIndex].textContent : '';
+    const name = prompt('Template name (an existing name for this object is overwritten):', currentName);
+    if (!name || !name.trim()) return;
+    
+    try {
+      const template = await this.templateStore.save({
+        name: name.trim(),
+        objectName: this.selectedObject,
+        headers: this.csvProcessor.headers,
+        mappings: this.csvProcessor.getMappings(),
+        transforms: this.csvProcessor.getTransforms(),
+        derivedColumns: this.csvProcessor.getDerivedColumns(),
+        lookups: this.csvProcessor.getLookups(),
+        formatOptions: this.csvProcessor.getFormatOptions(),
+        operation: this.operation,
+        externalIdField: this.externalIdField
+      });
+      await this.populateTemplateSelect(template.id);
+      this.showTemplateNote(`Saved template '${template.name}'`);
+    } catch (error) {
+      this.showError(`Failed to save template: ${error.message}`);
+    }
+  }
+
+  async deleteTemplate() {
+    const select = document.getElementById('template-select');
+    if (!select.value) return;
+    
+    const name = select.options[select.selectedIndex].textContent;
+    if (!confirm(`Delete template '${name}'?`)) return;
+    
+    await this.templateStore.delete(select.value);
+    await this.populateTemplateSelect();
+    this.showTemplateNote(`Deleted template '${name}'`);
+  }
+
+  // Export the selected template, or every template for the object when none is selected
+  async exportTemplates() {
+    const select = document.getElementById('template-select');
+    const templates = await this.templateStore.list(this.selectedObject);
+    const selected = select.value ? templates.filter(t => t.id === select.value) : templates;
+    
+    if (selected.length === 0) {
+      this.showError(`No templates saved for ${this.selectedObject}`);
+      return;
+    }
+    
+    const baseName = selected.length === 1 ? selected[0].name.replace(/[^\w-]+/g, '_') : this.selectedObject;
+    this.downloadFile(`mapping-template-${baseName}.json`, this.templateStore.exportTemplates(selected), 'application/json');
+  }
+
+  async importTemplates(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+      const imported = await this.templateStore.importTemplates(await file.text());
+      this.showTemplateNote(`Imported ${imported.length} template${imported.length === 1 ? '' : 's'}`);
+      
+      // Apply straight away if one of them fits the current file
+      if (this.selectedObject) {
+        const match = await this.templateStore.findMatch(this.selectedObject, this.csvProcessor.headers);
+        if (match) {
+          this.applyTemplate(match);
+          this.renderMappingInterface();
+        }
+        await this.populateTemplateSelect(match ? match.id : '');
+      }
+    } catch (error) {
+      this.showError(`Template import failed: ${error.message}`);
+    } finally {
+      event.target.value = '';
+    }
+  }
+
+  showTemplateNote(message) {
+    const noteEl = document.getElementById('template-note');
+    noteEl.textContent = message;
+    noteEl.classList.toggle('hidden', !message);
   }
 
   renderMappingInterface() {
     const container = document.getElementById('mapping-container');
     container.innerHTML = '';
+    this.transformEditor.close();
     
-    const csvHeaders = this.csvProcessor.headers;
     const currentMappings = this.csvProcessor.getMappings();
     
-    csvHeaders.forEach(header => {
+    this.csvProcessor.getColumns().forEach(header => {
+      const derived = this.csvProcessor.derivedColumns[header];
       const row = document.createElement('div');
       row.className = 'mapping-row';
       
       const label = document.createElement('label');
       label.textContent = header;
+      if (derived) {
+        label.className = 'derived-column';
+        label.title = derived.source ? `Copy of ${derived.source}` : 'Constant value';
+      }
       
       const select = document.createElement('select');
       select.innerHTML = '<option value="">-- Select Field --</option>';
@@ -225,6 +609,14 @@ class SalesforceCSVUploader {
         select.value = currentMappings[header];
       }
       
+      const confidence = document.createElement('span');
+      confidence.className = 'mapping-confidence';
+      this.renderMappingConfidence(confidence, header, select.value);
+      
+      const lookupEl = document.createElement('div');
+      lookupEl.className = 'lookup-options hidden';
+      this.renderLookupOptions(lookupEl, header, select.value);
+      
       // Update mapping on change
       select.addEventListener('change', (e) => {
         if (e.target.value) {
@@ -232,17 +624,223 @@ class SalesforceCSVUploader {
         } else {
           delete this.csvProcessor.mappings[header];
         }
+        this.csvProcessor.setLookup(header, null);
+        this.renderLookupOptions(lookupEl, header, e.target.value);
+        if (!derived) {
+          this.learnMappingCorrection(header, e.target.value);
+        }
+        this.renderMappingConfidence(confidence, header, e.target.value);
         this.updateUploadStep();
       });
       
+      const editorEl = document.createElement('div');
+      editorEl.className = 'transform-editor hidden';
+      
+      const transformButton = document.createElement('button');
+      transformButton.className = 'secondary transform-toggle';
+      const updateTransformButton = (steps) => {
+        transformButton.textContent = steps && steps.length > 0 ? `ƒx ${steps.length}` : 'ƒx';
+        transformButton.title = steps && steps.length > 0
+          ? `Transforms: ${steps.map(step => ColumnTransforms.describe(step)).join(', ')}`
+          : 'Add transforms for this column';
+      };
+      updateTransformButton(this.csvProcessor.transforms[header]);
+      transformButton.addEventListener('click', () => {
+        if (this.transformEditor.isOpen(header)) {
+          this.transformEditor.close();
+        } else {
+          this.transformEditor.open(header, editorEl, updateTransformButton);
+        }
+      });
+      
       row.appendChild(label);
       row.appendChild(select);
+      row.appendChild(confidence);
+      row.appendChild(transformButton);
+      
+      if (derived) {
+        const removeButton = document.createElement('button');
+        removeButton.className = 'secondary transform-toggle';
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove this column';
+        removeButton.addEventListener('click', () => {
+          this.csvProcessor.removeDerivedColumn(header);
+          this.renderMappingInterface();
+        });
+        row.appendChild(removeButton);
+      }
+      
       container.appendChild(row);
+      container.appendChild(lookupEl);
+      container.appendChild(editorEl);
     });
     
+    this.populateDerivedSourceSelect();
     this.updateUploadStep();
   }
 
+  // "Match by" choices for a reference field: record ID, the parent's external ID
+  // (sent as a relationship header), or a unique parent field resolved by SOQL
+  async renderLookupOptions(element, header, fieldName) {
+    element.innerHTML = '';
+    element.classList.add('hidden');
+    
+    const field = this.objectFields.find(f => f.name === fieldName);
+    if (!field || field.type !== 'reference' || !field.referenceTo || field.referenceTo.length === 0) {
+      return;
+    }
+    
+    const select = document.createElement('select');
+    select.innerHTML = '<option value="">Match by record ID</option>';
+    
+    for (const parentObject of field.referenceTo) {
+      let parentFields;
+      try {
+        parentFields = await this.getParentFields(parentObject);
+      } catch (error) {
+        console.warn(`Failed to load ${parentObject} fields:`, error);
+        continue;
+      }
+      
+      parentFields.forEach(parentField => {
+        // Relationship headers can't name the parent type, so polymorphic lookups only resolve by query
+        const modes = [];
+        if (parentField.externalId && field.relationshipName && field.referenceTo.length === 1) {
+          modes.push(['externalId', 'external ID']);
+        }
+        if (parentField.name !== 'Id' &&
+            (parentField.unique || parentField.externalId || parentField.idLookup || parentField.nameField)) {
+          modes.push(['query', parentField.unique || parentField.externalId ? 'unique, resolved before upload' : 'resolved before upload']);
+        }
+        
+        modes.forEach(([mode, description]) => {
+          const option = document.createElement('option');
+          option.value = JSON.stringify({ mode, parentObject, matchField: parentField.name });
+          option.textContent = `Match ${parentObject} by ${parentField.label} (${description})`;
+          select.appendChild(option);
+        });
+      });
+    }
+    
+    // The mapping may have changed while parent metadata was loading
+    if (this.csvProcessor.mappings[header] !== fieldName) {
+      return;
+    }
+    
+    const lookup = this.csvProcessor.lookups[header];
+    select.value = lookup ? JSON.stringify({ mode: lookup.mode, parentObject: lookup.parentObject, matchField: lookup.matchField }) : '';
+    if (lookup && select.value === '') {
+      // Saved lookup on a field the parent no longer has
+      this.csvProcessor.setLookup(header, null);
+    }
+    
+    select.addEventListener('change', (e) => {
+      this.csvProcessor.setLookup(header, e.target.value ? JSON.parse(e.target.value) : null);
+      this.updateUploadStep();
+    });
+    
+    element.appendChild(select);
+    element.classList.remove('hidden');
+  }
+
+  async getParentFields(objectName) {
+    if (!this.parentFieldsCache[objectName]) {
+      this.parentFieldsCache[objectName] = this.api.getObjectMetadata(objectName)
+        .then(metadata => metadata.fields)
+        .catch(error => {
+          delete this.parentFieldsCache[objectName];
+          throw error;
+        });
+    }
+    return this.parentFieldsCache[objectName];
+  }
+
+  populateDerivedSourceSelect() {
+    const select = document.getElementById('derived-source-select');
+    select.innerHTML = '<option value="">Constant value</option>';
+    
+    this.csvProcessor.headers.forEach(header => {
+      const option = document.createElement('option');
+      option.value = header;
+      option.textContent = `Copy of ${header}`;
+      select.appendChild(option);
+    });
+  }
+
+  // Extra column to map one file column to a second field (e.g. split names) or send a constant
+  addDerivedColumn() {
+    const source = document.getElementById('derived-source-select').value || null;
+    const name = this.csvProcessor.addDerivedColumn(source);
+    this.renderMappingInterface();
+    
+    const index = this.csvProcessor.getColumns().indexOf(name);
+    const row = document.getElementById('mapping-container').querySelectorAll('.mapping-row')[index];
+    row.querySelector('.transform-toggle').click();
+  }
+
+  // Remember the user's choice for this header so it is suggested next time
+  learnMappingCorrection(header, fieldName) {
+    const learning = fieldName
+      ? this.synonymStore.learn(this.api.instanceUrl, this.selectedObject, { [header]: fieldName })
+      : this.synonymStore.forget(this.api.instanceUrl, this.selectedObject, header);
+    
+    learning.catch(error => console.warn('Failed to store learned mapping:', error));
+  }
+
+  // Every IANA zone the browser knows, after the UTC and browser-local choices
+  populateTimeZoneSelect() {
+    const select = document.getElementById('timezone-select');
+    const timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    
+    timeZones.forEach(timeZone => {
+      const option = document.createElement('option');
+      option.value = timeZone;
+      option.textContent = timeZone;
+      select.appendChild(option);
+    });
+  }
+
+  handleFormatOptionsChange() {
+    const dateFormat = document.getElementById('date-format-input').value.trim() || 'auto';
+    if (dateFormat !== 'auto' && !/YYYY|YY/.test(dateFormat)) {
+      this.showError('The source date format needs a year (YYYY or YY), e.g. DD/MM/YYYY');
+      return;
+    }
+    
+    this.csvProcessor.setFormatOptions({
+      dateFormat: dateFormat,
+      timeZone: document.getElementById('timezone-select').value,
+      decimalSeparator: document.getElementById('decimal-select').value
+    });
+    this.dataProfile.refresh();
+    this.hideError();
+  }
+
+  renderFormatOptions() {
+    const options = this.csvProcessor.getFormatOptions();
+    document.getElementById('date-format-input').value = options.dateFormat === 'auto' ? '' : options.dateFormat;
+    document.getElementById('timezone-select').value = options.timeZone;
+    document.getElementById('decimal-select').value = options.decimalSeparator;
+  }
+
+  // Confidence badge, shown only while the column still uses the suggested field
+  renderMappingConfidence(element, header, fieldName) {
+    const suggestion = this.csvProcessor.suggestionScores[header];
+    
+    if (!suggestion || suggestion.field !== fieldName) {
+      element.textContent = '';
+      element.title = '';
+      element.className = 'mapping-confidence';
+      return;
+    }
+    
+    const percent = Math.round(suggestion.score * 100);
+    const level = percent >= 90 ? 'high' : percent >= 75 ? 'medium' : 'low';
+    element.textContent = `${percent}%`;
+    element.title = `Suggestion confidence, based on: ${suggestion.evidence.join(', ')}`;
+    element.className = `mapping-confidence ${level}`;
+  }
+
   updateUploadStep() {
     const mappings = this.csvProcessor.getMappings();
     const hasValidMappings = Object.keys(mappings).length > 0;
@@ -251,7 +849,7 @@ class SalesforceCSVUploader {
       this.enableStep('step-upload');
       
       // Validate mappings
-      const errors = this.csvProcessor.validateMappings(this.objectFields);
+      const errors = this.validateAllMappings();
       if (errors.length > 0) {
         this.showError('Mapping validation errors:\n' + errors.join('\n'));
       } else {
@@ -262,73 +860,436 @@ class SalesforceCSVUploader {
     }
   }
 
-  async createMissingFields() {
+  // Main object mappings, then those of any related objects
+  validateAllMappings() {
+    return [
+      ...this.csvProcessor.validateMappings(this.objectFields, this.operation, this.externalIdField),
+      ...this.relatedObjects.validate()
+    ];
+  }
+
+  async uploadData() {
     try {
-      const csvHeaders = this.csvProcessor.headers;
-      const suggestions = this.csvProcessor.suggestNewFields(csvHeaders, this.objectFields);
+      const errors = this.validateAllMappings();
+      
+      if (errors.length > 0) {
+        this.showError('Please fix mapping errors before uploading');
+        return;
+      }
       
-      if (suggestions.length === 0) {
-        alert('No new fields need to be created');
+      // Check every value against the field metadata before anything is sent
+      const report = await this.runPreflight();
+      const invalidRows = this.preflightReport.getExcludedRows();
+      if (report.invalidRows.size > 0 && !invalidRows) {
+        this.showError(`${report.invalidRows.size} row(s) failed pre-flight validation. Fix them, or choose to skip invalid rows.`);
         return;
       }
       
-      const confirmed = confirm(`Create ${suggestions.length} new fields?\n\n${suggestions.map(s => s.label).join('\n')}`);
-      if (!confirmed) return;
+      // Duplicates the review chose to skip are left out; those to update carry the existing Id
+      const excludeRows = new Set([...(invalidRows || []), ...this.duplicateReview.getSkippedRows()]);
+      this.csvProcessor.setRecordIds(this.duplicateReview.getRecordUpdates());
       
-      this.showLoading('create-fields-btn', 'Creating fields...');
+      const totalRecords = this.csvProcessor.rowCount - excludeRows.size;
+      if (totalRecords === 0) {
+        this.showError('No valid rows left to upload');
+        return;
+      }
       
-      for (const suggestion of suggestions) {
-        try {
-          await this.api.createCustomField(this.selectedObject, suggestion);
-          console.log(`Created field: ${suggestion.developerName}`);
-        } catch (error) {
-          console.error(`Failed to create field ${suggestion.developerName}:`, error);
-        }
+      // Show progress
+      this.showUploadProgress();
+      this.updateProgress(0, 'Preparing data...');
+      
+      // Mappings that made it to an upload were accepted, so learn them for next time
+      await this.synonymStore.learn(this.api.instanceUrl, this.selectedObject, this.csvProcessor.getMappings())
+        .catch(error => console.warn('Failed to store learned mappings:', error));
+      
+      // Split the mapped data so each job stays within Bulk API upload limits
+      const settings = await loadSettings();
+      const batchOptions = {
+        maxRows: settings.batchSize,
+        maxBytes: settings.maxBatchBytes,
+        excludeRows: excludeRows
+      };
+      
+      if (this.relatedObjects.hasSections()) {
+        await this.startMultiObjectUpload(batchOptions, settings);
+        return;
       }
       
-      // Reload object metadata
-      const metadata = await this.api.getObjectMetadata(this.selectedObject);
-      this.objectFields = metadata.fields;
-      this.renderMappingInterface();
+      const batches = this.csvProcessor.generateMappedCSVBatches(batchOptions);
+      this.updateProgress(0, `Starting bulk upload (${batches.length} job${batches.length === 1 ? '' : 's'})...`);
       
-      alert('Fields created successfully! Please refresh your mapping.');
+      await this.startBackgroundUpload({
+        objectName: this.selectedObject,
+        ...this.getUploadTarget(),
+        fileName: this.currentFile ? this.currentFile.name : '',
+        totalRecords: totalRecords,
+        batches: batches
+      }, settings);
       
     } catch (error) {
-      this.showError(`Field creation failed: ${error.message}`);
+      this.showError(`Upload failed: ${error.message}`);
+      this.hideUploadProgress();
+    }
+  }
+
+  // Insert becomes an upsert on Id when the duplicate review updates existing records
+  getUploadTarget() {
+    if (this.operation === 'insert' && this.csvProcessor.recordIds.size > 0) {
+      return { operation: 'upsert', externalIdFieldName: 'Id' };
+    }
+    return { operation: this.operation, externalIdFieldName: this.externalIdField };
+  }
+
+  // Load the main object and each related object in turn; the background starts an
+  // object's jobs once the objects before it have finished
+  async startMultiObjectUpload(batchOptions, settings) {
+    for (const section of this.relatedObjects.sections) {
+      await this.synonymStore.learn(this.api.instanceUrl, section.objectName, section.processor.getMappings())
+        .catch(error => console.warn('Failed to store learned mappings:', error));
+    }
+    
+    const { stages, batches, stageRecords } = this.relatedObjects.buildStages(batchOptions);
+    const totalRecords = stages.reduce((sum, stage) => sum + stage.recordCount, 0);
+    this.updateProgress(0, `Starting bulk upload of ${stages.length} objects (${totalRecords} records)...`);
+    
+    await this.startBackgroundUpload({
+      objectName: stages.map(stage => stage.objectName).join(' → '),
+      ...this.getUploadTarget(),
+      fileName: this.currentFile ? this.currentFile.name : '',
+      totalRecords: totalRecords,
+      stages: stages,
+      stageRecords: stageRecords,
+      batches: batches
+    }, settings);
+  }
+
+  // Run pre-flight checks on their own, without uploading
+  async validateData() {
+    const errors = this.csvProcessor.validateMappings(this.objectFields, this.operation, this.externalIdField);
+    if (errors.length > 0) {
+      this.showError('Please fix mapping errors before validating');
+      return;
+    }
+    
+    try {
+      this.showLoading('validate-btn', 'Validating...');
+      await this.runPreflight();
+      this.hideError();
+    } catch (error) {
+      this.showError(`Validation failed: ${error.message}`);
     } finally {
-      this.hideLoading('create-fields-btn', 'Create Missing Fields');
+      this.hideLoading('validate-btn', 'Validate Data');
     }
   }
 
-  async uploadData() {
+  // Resolve natural-key lookups against Salesforce, then check every row
+  async runPreflight() {
+    const lookupSummary = await new LookupResolver(this.api).resolve(this.csvProcessor);
+    return this.preflightReport.run(lookupSummary);
+  }
+
+  // Validate-only run: pre-flight checks on every row, then a rolled-back REST call
+  // with a sample of the rows that passed, so nothing is left behind in the org
+  async dryRun() {
+    const errors = this.csvProcessor.validateMappings(this.objectFields, this.operation, this.externalIdField);
+    if (errors.length > 0) {
+      this.showError('Please fix mapping errors before running a dry run');
+      return;
+    }
+    
     try {
-      const mappings = this.csvProcessor.getMappings();
-      const errors = this.csvProcessor.validateMappings(this.objectFields);
+      this.showLoading('dry-run-btn', 'Running dry run...');
+      this.hideError();
       
-      if (errors.length > 0) {
-        this.showError('Please fix mapping errors before uploading');
+      const report = await this.runPreflight();
+      const settings = await loadSettings();
+      const sampleSize = Math.min(settings.dryRunSampleSize, SalesforceAPI.COLLECTION_LIMIT - 1);
+      
+      const sampleRows = [];
+      for (let index = 0; index < this.csvProcessor.rowCount && sampleRows.length < sampleSize; index++) {
+        if (!report.invalidRows.has(index)) {
+          sampleRows.push(index);
+        }
+      }
+      
+      if (sampleRows.length === 0) {
+        this.showError('No rows passed the pre-flight checks, so there is nothing to send');
         return;
       }
       
-      // Show progress
-      this.showUploadProgress();
-      this.updateProgress(10, 'Preparing data...');
+      const records = sampleRows.map(index => this.csvProcessor.buildRecord(this.csvProcessor.csvData[index], this.selectedObject));
+      const results = await this.api.simulateOperation(this.selectedObject, records, {
+        operation: this.operation,
+        externalIdFieldName: this.externalIdField
+      });
       
-      // Generate mapped CSV
-      const mappedCSV = this.csvProcessor.generateMappedCSV();
-      this.updateProgress(30, 'Starting bulk upload...');
+      this.displayUploadResults(this.buildDryRunResult(sampleRows, results, report));
+    } catch (error) {
+      this.showError(`Dry run failed: ${error.message}`);
+    } finally {
+      this.hideLoading('dry-run-btn', 'Dry Run (Validate Only)');
+    }
+  }
+
+  // Shape the per-record dry-run results like a finished upload, with Bulk API style result CSVs
+  buildDryRunResult(sampleRows, results, report) {
+    const processor = this.csvProcessor;
+    const fieldHeader = processor.getOutputHeaders().join(',');
+    const successful = [`sf__Id,sf__Created,${fieldHeader}`];
+    const failed = [`sf__Id,sf__Error,${fieldHeader}`];
+    const rowErrors = [];
+    
+    results.forEach((result, position) => {
+      const index = sampleRows[position];
+      const line = processor.formatMappedRow(processor.csvData[index]);
       
-      // Perform bulk upload
-      const result = await this.api.performBulkUpload(this.selectedObject, mappedCSV, 'insert');
-      this.updateProgress(100, 'Upload complete!');
+      // With allOrNone, records that would have been saved only report the rollback
+      const realErrors = (result.errors || [])
+        .filter(error => error.statusCode !== 'ALL_OR_NONE_OPERATION_ROLLED_BACK');
       
-      // Show results
-      this.displayUploadResults(result);
+      if (realErrors.length === 0) {
+        successful.push(`,${this.operation === 'insert'},${line}`);
+        return;
+      }
+      
+      const message = realErrors
+        .map(error => `${error.statusCode}:${error.message}${error.fields && error.fields.length ? `:${error.fields.join(',')} --` : ''}`)
+        .join('; ');
+      failed.push(`,${processor.escapeCSVValue(message)},${line}`);
+      rowErrors.push({ row: index + 1, message });
+    });
+    
+    return {
+      dryRun: true,
+      jobId: null,
+      objectName: this.selectedObject,
+      operation: this.operation,
+      externalIdFieldName: this.externalIdField,
+      fileName: this.currentFile ? this.currentFile.name : '',
+      status: { state: rowErrors.length === 0 ? 'Validated' : 'Validation Failed' },
+      recordsProcessed: results.length,
+      recordsFailed: rowErrors.length,
+      results: {
+        successful: successful.join('\n'),
+        failed: failed.length > 1 ? failed.join('\n') : ''
+      },
+      rowErrors: rowErrors,
+      totalRows: processor.rowCount,
+      preflightInvalidRows: report.invalidRows.size
+    };
+  }
+
+  // Store the batches where the service worker can read them, then hand the upload over
+  async startBackgroundUpload({ stageRecords, ...upload }, settings) {
+    const uploadId = crypto.randomUUID();
+    await this.uploadStore.putBatches(uploadId, upload.batches);
+    
+    // File rows behind each record, for reporting multi-object failures by row
+    for (const [stage, recordRows] of (stageRecords || []).entries()) {
+      await this.uploadStore.putStage(uploadId, stage, { recordRows });
+    }
+    
+    const response = await this.sendMessage({
+      type: 'start_upload',
+      upload: {
+        ...upload,
+        uploadId: uploadId,
+        instanceUrl: this.api.instanceUrl,
+        batches: upload.batches.map(batch => ({ startRow: batch.startRow, rowCount: batch.rowCount, stage: batch.stage })),
+        settings: {
+          maxParallelJobs: settings.maxParallelJobs,
+          pollIntervalMs: settings.pollIntervalMs,
+          pollBackoffFactor: settings.pollBackoffFactor,
+          maxPollIntervalMs: settings.maxPollIntervalMs,
+          maxPollWaitMs: settings.maxPollWaitMs
+        }
+      }
+    });
+    
+    document.getElementById('upload-results').classList.add('hidden');
+    this.watchUpload(response.upload);
+    return response.upload;
+  }
+
+  // Pick up an upload the background is still running (or finished while the popup was closed)
+  async reattachUploads() {
+    try {
+      const response = await this.sendMessage({ type: 'get_uploads' });
+      // Acknowledged uploads are removed, so the newest one is the one to show
+      const [upload] = response.uploads;
       
+      if (upload) {
+        this.enableStep('step-upload');
+        this.watchUpload(upload);
+      }
     } catch (error) {
-      this.showError(`Upload failed: ${error.message}`);
-      this.hideUploadProgress();
+      console.warn('Could not check background uploads:', error);
+    }
+  }
+
+  watchUpload(upload) {
+    this.watchedUploadId = upload.id;
+    this.showUploadProgress();
+    this.handleUploadsChanged({ [upload.id]: upload });
+  }
+
+  handleUploadsChanged(uploads) {
+    const upload = uploads[this.watchedUploadId];
+    if (!upload) return;
+    
+    if (['complete', 'failed', 'aborted'].includes(upload.state)) {
+      this.showFinishedUpload(upload);
+    } else {
+      this.renderUploadProgress(upload);
+    }
+  }
+
+  // Overall record counts, throughput and ETA across all jobs of an upload
+  renderUploadProgress(upload) {
+    const { processed, failed } = this.countJobRecords(upload.jobs);
+    const total = upload.totalRecords;
+    const elapsedSeconds = (Date.now() - upload.createdAt) / 1000;
+    const throughput = elapsedSeconds > 0 ? processed / elapsedSeconds : 0;
+    
+    // Reserve the first 5% of the bar for job setup
+    const percentage = total > 0 ? 5 + Math.round((processed / total) * 95) : 5;
+    
+    let details = `${processed.toLocaleString()} of ${total.toLocaleString()} records processed`;
+    if (failed > 0) {
+      details += ` (${failed.toLocaleString()} failed)`;
+    }
+    if (throughput > 0) {
+      const etaSeconds = Math.max(0, (total - processed) / throughput);
+      details += ` · ${Math.round(throughput).toLocaleString()} rec/s · ETA ${this.formatDuration(etaSeconds)}`;
+    }
+    details += ` · ${this.formatDuration(elapsedSeconds)} elapsed`;
+    
+    this.updateProgress(Math.min(percentage, 100), this.describeUploadPhase(upload), details);
+  }
+
+  // Records processed and failed so far across jobs of a background upload
+  countJobRecords(jobs) {
+    return {
+      processed: jobs.reduce((sum, job) => sum + job.numberRecordsProcessed, 0),
+      failed: jobs.reduce((sum, job) => sum + job.numberRecordsFailed, 0)
+    };
+  }
+
+  describeUploadPhase(upload) {
+    if (upload.stillRunning) {
+      return 'Still running in Salesforce - you can close this popup';
+    }
+    
+    const current = upload.jobs.find(job => job.phase === 'uploading' || job.phase === 'processing');
+    if (!current) {
+      return 'Starting jobs...';
+    }
+    
+    let jobLabel = upload.jobs.length > 1 ? `Job ${current.index + 1} of ${upload.jobs.length}: ` : '';
+    if (upload.stages) {
+      jobLabel = `${upload.stages[current.stage].objectName} · ${jobLabel}`;
+    }
+    if (current.phase === 'uploading') {
+      return `${jobLabel}Uploading data...`;
     }
+    return `${jobLabel}Salesforce is processing (${current.state})...`;
+  }
+
+  async showFinishedUpload(upload) {
+    // Storage change events can repeat; only render each finished upload once
+    if (this.finishedUploadId === upload.id) return;
+    this.finishedUploadId = upload.id;
+    
+    this.updateProgress(100, { failed: 'Upload failed', aborted: 'Upload aborted' }[upload.state] || 'Upload complete!');
+    
+    if (upload.stages) {
+      this.displayUploadResults(this.buildMultiObjectResult(upload));
+      await this.sendMessage({ type: 'acknowledge_upload', uploadId: upload.id }).catch(() => {});
+      return;
+    }
+    
+    // Results are fetched here rather than kept by the background, as they can be large
+    const jobs = await Promise.all(upload.jobs.map(async (job) => {
+      const summary = {
+        jobId: job.jobId,
+        startRow: job.startRow,
+        rowCount: job.rowCount,
+        error: job.error,
+        status: { state: job.state, errorMessage: job.errorMessage },
+        recordsProcessed: job.numberRecordsProcessed,
+        recordsFailed: job.numberRecordsFailed
+      };
+      if (job.error) {
+        return summary;
+      }
+      
+      const results = await this.api.getBulkJobResults(job.jobId)
+        .catch(() => ({ successful: '', failed: '' }));
+      return { ...summary, results };
+    }));
+    
+    this.displayUploadResults({
+      ...this.api.combineJobResults(jobs),
+      objectName: upload.objectName,
+      operation: upload.operation,
+      externalIdFieldName: upload.externalIdFieldName,
+      fileName: upload.fileName
+    });
+    await this.sendMessage({ type: 'acknowledge_upload', uploadId: upload.id }).catch(() => {});
+  }
+
+  // Per-object counts and the failed file rows; result files are per job and per object,
+  // so they are left to the upload history
+  buildMultiObjectResult(upload) {
+    const stages = upload.stages.map((stage, index) => {
+      const { processed, failed } = this.countJobRecords(upload.jobs.filter(job => job.stage === index));
+      return {
+        objectName: stage.objectName,
+        operation: stage.operation,
+        recordCount: stage.recordCount,
+        recordsProcessed: processed,
+        recordsFailed: failed
+      };
+    });
+    const jobIds = upload.jobs.filter(job => job.jobId).map(job => job.jobId);
+    
+    return {
+      jobId: jobIds.join(', '),
+      jobs: upload.jobs.map(job => ({
+        jobId: job.jobId,
+        startRow: job.startRow,
+        rowCount: job.rowCount,
+        stillRunning: job.stillRunning,
+        status: { state: job.state, errorMessage: job.errorMessage }
+      })),
+      status: { state: { failed: 'Failed', aborted: 'Aborted' }[upload.state] || 'Complete' },
+      objectName: upload.objectName,
+      operation: upload.operation,
+      fileName: upload.fileName,
+      recordsProcessed: stages.reduce((sum, stage) => sum + stage.recordsProcessed, 0),
+      recordsFailed: stages.reduce((sum, stage) => sum + stage.recordsFailed, 0),
+      results: { successful: '', failed: '' },
+      stages: stages,
+      rowErrors: upload.rowErrors,
+      rowErrorCount: upload.rowErrorCount
+    };
+  }
+
+  sendMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || !response.success) {
+          reject(new Error((response && response.error) || 'No response from background'));
+          return;
+        }
+        resolve(response);
+      });
+    });
   }
 
   showUploadProgress() {
@@ -341,9 +1302,29 @@ class SalesforceCSVUploader {
     document.getElementById('upload-btn').disabled = false;
   }
 
-  updateProgress(percentage, text) {
+  updateProgress(percentage, text, details = null) {
     document.getElementById('progress-bar').style.width = `${percentage}%`;
     document.getElementById('progress-text').textContent = text;
+    
+    const detailsEl = document.getElementById('progress-details');
+    if (details) {
+      detailsEl.textContent = details;
+      detailsEl.classList.remove('hidden');
+    } else {
+      detailsEl.classList.add('hidden');
+    }
+  }
+
+  formatDuration(seconds) {
+    const rounded = Math.round(seconds);
+    if (rounded < 60) {
+      return `${rounded}s`;
+    }
+    const minutes = Math.floor(rounded / 60);
+    if (minutes < 60) {
+      return `${minutes}m ${rounded % 60}s`;
+    }
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
   }
 
   displayUploadResults(result) {
@@ -352,22 +1333,88 @@ class SalesforceCSVUploader {
     const failedCount = result.recordsFailed || 0;
     const successCount = processedCount - failedCount;
     
-    resultsEl.innerHTML = `
+    resultsEl.innerHTML = result.dryRun ? `
+      <h4>Dry Run Results</h4>
+      <p><strong>Mode:</strong> Validate only &mdash; every change was rolled back</p>
+      <p><strong>Sample:</strong> first ${processedCount} of ${result.totalRows} rows that passed pre-flight checks
+      (${result.preflightInvalidRows} rows failed pre-flight)</p>
+    ` : `
       <h4>Upload Results</h4>
       <p><strong>Job ID:</strong> ${result.jobId}</p>
+    `;
+    resultsEl.innerHTML += `
+      <p><strong>Operation:</strong> ${result.operation || this.operation}</p>
       <p><strong>Records Processed:</strong> ${processedCount}</p>
       <p><strong>Successful:</strong> ${successCount}</p>
       <p><strong>Failed:</strong> ${failedCount}</p>
       <p><strong>Status:</strong> ${result.status.state}</p>
     `;
     
-    if (failedCount > 0 && result.results.failed) {
+    if (result.stillRunning) {
+      const runningJobs = (result.jobs || [result]).filter(job => job.stillRunning);
       resultsEl.innerHTML += `
-        <h5>Failed Records:</h5>
-        <pre style="font-size: 10px; max-height: 100px; overflow: auto;">${result.results.failed}</pre>
+        <p><strong>Still running:</strong> Salesforce is still processing
+        ${runningJobs.map(job => job.jobId).join(', ')}. Check these job IDs later
+        in Setup &rarr; Bulk Data Load Jobs.</p>
       `;
     }
     
+    const jobErrors = (result.jobs || [result])
+      .filter(job => job.status && job.status.state === 'Failed' && job.status.errorMessage);
+    if (jobErrors.length > 0) {
+      resultsEl.innerHTML += `
+        <h5>Job Errors:</h5>
+        <ul>
+          ${jobErrors.map(job => `<li>${job.jobId}: ${job.status.errorMessage}</li>`).join('')}
+        </ul>
+      `;
+    }
+    
+    const failedJobs = (result.jobs || []).filter(job => job.error);
+    if (failedJobs.length > 0) {
+      resultsEl.innerHTML += `
+        <h5>Failed Jobs:</h5>
+        <ul>
+          ${failedJobs.map(job => `<li>Rows ${job.startRow + 1}-${job.startRow + job.rowCount}: ${job.error}</li>`).join('')}
+        </ul>
+      `;
+    }
+    
+    if (result.stages) {
+      resultsEl.innerHTML += `
+        <h5>Objects:</h5>
+        <ul>
+          ${result.stages.map(stage => `<li>${stage.operation} ${stage.objectName}: ` +
+            `${stage.recordsProcessed - stage.recordsFailed} of ${stage.recordCount} records succeeded</li>`).join('')}
+        </ul>
+      `;
+    }
+    
+    if (result.rowErrors && result.rowErrors.length > 0) {
+      const heading = document.createElement('h5');
+      heading.textContent = result.dryRun ? 'Rows that would fail:' : 'Rows not loaded:';
+      const list = document.createElement('ul');
+      result.rowErrors.forEach(({ row, objectName, message }) => {
+        const item = document.createElement('li');
+        item.textContent = objectName ? `Row ${row} (${objectName}): ${message}` : `Row ${row}: ${message}`;
+        list.appendChild(item);
+      });
+      resultsEl.appendChild(heading);
+      resultsEl.appendChild(list);
+      
+      if (result.rowErrorCount > result.rowErrors.length) {
+        const note = document.createElement('p');
+        note.textContent = `Showing the first ${result.rowErrors.length} of ${result.rowErrorCount} rows.`;
+        resultsEl.appendChild(note);
+      }
+    }
+    
+    if (failedCount > 0 && result.results.failed) {
+      const reviewEl = document.createElement('div');
+      resultsEl.appendChild(reviewEl);
+      this.failureReview.load(result, reviewEl);
+    }
+    
     resultsEl.classList.remove('hidden');
     this.hideUploadProgress();
   }
@@ -398,6 +1445,16 @@ class SalesforceCSVUploader {
     document.getElementById(elementId).classList.remove('hidden');
   }
 
+  // Save text content as a file through a temporary object URL
+  downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   hideElementLoading(elementId) {
     document.getElementById(elementId).classList.add('hidden');
   }
@@ -416,8 +1473,14 @@ class SalesforceCSVUploader {
     // Reset all form elements and state
     document.getElementById('csv-file').value = '';
     document.getElementById('object-select').value = '';
+    document.getElementById('operation-select').value = 'insert';
+    document.getElementById('external-id-group').classList.add('hidden');
     document.getElementById('file-info').classList.add('hidden');
+    document.getElementById('dialect-options').classList.add('hidden');
+    document.getElementById('sheet-options').classList.add('hidden');
     document.getElementById('mapping-container').innerHTML = '';
+    document.getElementById('template-select').innerHTML = '<option value="">No template</option>';
+    this.showTemplateNote('');
     document.getElementById('upload-results').classList.add('hidden');
     
     // Disable steps
@@ -430,7 +1493,15 @@ class SalesforceCSVUploader {
     this.currentFile = null;
     this.selectedObject = null;
     this.objectFields = [];
+    this.operation = 'insert';
+    this.externalIdField = null;
     this.csvProcessor = new CSVProcessor();
+    this.renderFormatOptions();
+    this.preflightReport.reset();
+    this.relatedObjects.reset();
+    this.duplicateReview.reset();
+    this.fieldCreation.reset();
+    this.dataProfile.reset();
     
     this.hideError();
   }
@@ -0,0 +1,196 @@
+// Pre-flight Report
+// Runs PreflightValidator over the mapped data and shows the problems per row and
+// column, with options to export the invalid rows or leave them out of the upload.
+class PreflightReport {
+  constructor(uploader) {
+    this.uploader = uploader;
+    this.container = document.getElementById('preflight-report');
+    this.report = null;
+    this.lookupSummary = [];
+    this.skipInvalid = false;
+  }
+
+  // Validate the current mappings and render the result; lookupSummary comes from LookupResolver
+  run(lookupSummary = []) {
+    const validator = new PreflightValidator(this.uploader.csvProcessor);
+    this.report = validator.validate(this.uploader.objectFields, this.uploader.operation);
+    this.lookupSummary = lookupSummary;
+    this.render();
+    return this.report;
+  }
+
+  // Rows to leave out of the upload, or null to send everything
+  getExcludedRows() {
+    return this.skipInvalid && this.report ? this.report.invalidRows : null;
+  }
+
+  reset() {
+    this.report = null;
+    this.lookupSummary = [];
+    this.skipInvalid = false;
+    this.container.innerHTML = '';
+    this.container.classList.add('hidden');
+  }
+
+  render() {
+    const report = this.report;
+    this.container.innerHTML = '';
+    this.container.classList.remove('hidden');
+
+    const summary = document.createElement('div');
+    summary.className = report.invalidRows.size > 0 ? 'preflight-summary invalid' : 'preflight-summary';
+    summary.textContent = report.invalidRows.size > 0
+      ? `${report.invalidRows.size} of ${report.totalRows} rows have errors (${report.issueCount} values).`
+      : `All ${report.totalRows} rows passed pre-flight checks.`;
+    if (report.warningCount > 0) {
+      summary.textContent += ` ${report.warningCount} value${report.warningCount === 1 ? '' : 's'} will be rounded.`;
+    }
+    this.container.appendChild(summary);
+    this.renderLookupSummary();
+
+    if (report.issues.length === 0) {
+      return;
+    }
+
+    // Columns with problems, worst first
+    const columnList = document.createElement('ul');
+    columnList.className = 'preflight-columns';
+    Object.entries(report.columnCounts)
+      .filter(([, counts]) => counts.errors + counts.warnings > 0)
+      .sort(([, a], [, b]) => b.errors - a.errors)
+      .forEach(([column, counts]) => {
+        const item = document.createElement('li');
+        item.textContent = `${column} → ${this.uploader.csvProcessor.getOutputHeader(column)}: ` +
+          `${counts.errors} error${counts.errors === 1 ? '' : 's'}` +
+          (counts.warnings > 0 ? `, ${counts.warnings} warning${counts.warnings === 1 ? '' : 's'}` : '');
+        columnList.appendChild(item);
+      });
+    this.container.appendChild(columnList);
+
+    this.container.appendChild(this.renderIssueTable(report.issues.slice(0, PreflightReport.DISPLAY_ROWS)));
+    if (report.issueCount + report.warningCount > PreflightReport.DISPLAY_ROWS) {
+      const note = document.createElement('div');
+      note.className = 'failure-message';
+      note.textContent = `Showing the first ${PreflightReport.DISPLAY_ROWS} issues. Export the invalid rows to see them all.`;
+      this.container.appendChild(note);
+    }
+
+    if (report.invalidRows.size > 0) {
+      this.container.appendChild(this.renderActions());
+    }
+  }
+
+  // Lookup values that matched no parent record, or more than one
+  renderLookupSummary() {
+    this.lookupSummary
+      .filter(lookup => lookup.unmatched.length > 0 || lookup.ambiguous.length > 0)
+      .forEach(lookup => {
+        const item = document.createElement('div');
+        item.className = 'preflight-lookup';
+        const parts = [];
+        if (lookup.unmatched.length > 0) {
+          parts.push(`${lookup.unmatched.length} not found (${this.listValues(lookup.unmatched)})`);
+        }
+        if (lookup.ambiguous.length > 0) {
+          parts.push(`${lookup.ambiguous.length} matched more than once ` +
+            `(${this.listValues(lookup.ambiguous.map(({ value, count }) => `${value} ×${count}`))})`);
+        }
+        item.textContent = `${lookup.column} by ${lookup.parentObject}.${lookup.matchField}: ` +
+          `of ${lookup.valueCount} distinct values, ${parts.join(' and ')}`;
+        this.container.appendChild(item);
+      });
+  }
+
+  listValues(values) {
+    const shown = values.slice(0, PreflightReport.LOOKUP_VALUES_SHOWN).join(', ');
+    return values.length > PreflightReport.LOOKUP_VALUES_SHOWN
+      ? `${shown}, … ${values.length - PreflightReport.LOOKUP_VALUES_SHOWN} more`
+      : shown;
+  }
+
+  renderIssueTable(issues) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'failure-table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'failure-table';
+
+    const headerRow = document.createElement('tr');
+    ['Row', 'Column', 'Value', 'Problem'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    issues.forEach(issue => {
+      const tr = document.createElement('tr');
+      if (issue.severity === 'warning') {
+        tr.className = 'preflight-warning';
+      }
+      [issue.row + 1, issue.column, issue.value, issue.message].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+
+    wrapper.appendChild(table);
+    return wrapper;
+  }
+
+  renderActions() {
+    const actions = document.createElement('div');
+    actions.className = 'failure-actions';
+
+    const skipLabel = document.createElement('label');
+    const skipCheckbox = document.createElement('input');
+    skipCheckbox.type = 'checkbox';
+    skipCheckbox.checked = this.skipInvalid;
+    skipCheckbox.addEventListener('change', (e) => {
+      this.skipInvalid = e.target.checked;
+      this.uploader.hideError();
+    });
+    skipLabel.appendChild(skipCheckbox);
+    skipLabel.appendChild(document.createTextNode(` Skip ${this.report.invalidRows.size} invalid rows when uploading`));
+    actions.appendChild(skipLabel);
+
+    const exportButton = document.createElement('button');
+    exportButton.className = 'secondary';
+    exportButton.textContent = 'Export Invalid Rows';
+    exportButton.addEventListener('click', () => this.exportInvalidRows());
+    actions.appendChild(exportButton);
+
+    return actions;
+  }
+
+  // Original file values of each invalid row, with its row number and the problems found
+  exportInvalidRows() {
+    const processor = this.uploader.csvProcessor;
+    const headers = processor.headers;
+    const lines = [['Row', 'Errors', ...headers].map(value => processor.escapeCSVValue(value)).join(',')];
+
+    [...this.report.invalidRows].sort((a, b) => a - b).forEach(index => {
+      const row = processor.csvData[index];
+      lines.push([
+        String(index + 1),
+        this.report.rowErrors.get(index).join('; '),
+        ...headers.map(header => row[header] || '')
+      ].map(value => processor.escapeCSVValue(value)).join(','));
+    });
+
+    const baseName = this.uploader.currentFile ? this.uploader.currentFile.name.replace(/\.[^.]+$/, '') : 'upload';
+    this.uploader.downloadFile(`${baseName}_invalid_rows.csv`, lines.join('\n'), 'text/csv');
+  }
+}
+
+PreflightReport.DISPLAY_ROWS = 100;
+
+PreflightReport.LOOKUP_VALUES_SHOWN = 10;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PreflightReport;
+} else {
+  window.PreflightReport = PreflightReport;
+}
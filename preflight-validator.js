@@ -0,0 +1,227 @@
+// Pre-flight Validator
+// Checks every mapped value, after transforms and type formatting, against the target
+// field's metadata so bad rows are found before anything is sent to the Bulk API.
+class PreflightValidator {
+  constructor(processor) {
+    this.processor = processor;
+  }
+
+  // Validate all rows; returns per-row errors plus a capped list of individual issues
+  validate(salesforceFields, operation = 'insert') {
+    const fieldsByName = {};
+    salesforceFields.forEach(field => {
+      fieldsByName[field.name] = field;
+    });
+
+    const columns = Object.keys(this.processor.mappings);
+    const rows = this.processor.csvData || [];
+    const report = {
+      totalRows: rows.length,
+      invalidRows: new Set(),
+      rowErrors: new Map(), // Row index -> error messages, for export
+      issues: [],
+      issueCount: 0,
+      warningCount: 0,
+      columnCounts: {}
+    };
+
+    columns.forEach(column => {
+      report.columnCounts[column] = { errors: 0, warnings: 0 };
+    });
+
+    rows.forEach((row, index) => {
+      columns.forEach(column => {
+        const field = fieldsByName[this.processor.mappings[column]];
+        let value;
+        let issue;
+
+        try {
+          value = this.processor.getOutputValue(row, column);
+          // External ID lookups carry the parent's key, not a record ID
+          const lookup = this.processor.lookups[column];
+          const isExternalKey = lookup && lookup.mode === 'externalId' && value !== '';
+          issue = field && !isExternalKey ? this.validateValue(value, field, operation) : null;
+        } catch (error) {
+          value = row[column] || '';
+          issue = { severity: 'error', message: error.message };
+        }
+
+        if (issue) {
+          this.addIssue(report, { row: index, column, field: field ? field.name : this.processor.mappings[column], value, ...issue });
+        }
+      });
+    });
+
+    return report;
+  }
+
+  addIssue(report, issue) {
+    const counts = report.columnCounts[issue.column];
+
+    if (issue.severity === 'error') {
+      counts.errors++;
+      report.issueCount++;
+      report.invalidRows.add(issue.row);
+      if (!report.rowErrors.has(issue.row)) {
+        report.rowErrors.set(issue.row, []);
+      }
+      report.rowErrors.get(issue.row).push(`${issue.column}: ${issue.message}`);
+    } else {
+      counts.warnings++;
+      report.warningCount++;
+    }
+
+    if (report.issues.length < PreflightValidator.ISSUE_LIMIT) {
+      report.issues.push(issue);
+    }
+  }
+
+  // Check one formatted value; returns { severity, message } or null when it is fine
+  validateValue(value, field, operation) {
+    if (value === '') {
+      if ((operation === 'insert' || operation === 'upsert') && field.required && field.createable) {
+        return { severity: 'error', message: 'Required value is empty' };
+      }
+      return null;
+    }
+
+    switch (field.type) {
+      case 'boolean':
+        return ['true', 'false'].includes(value) ? null : this.error('Not a checkbox value (true/false)');
+
+      case 'int':
+        if (!/^[-+]?\d+$/.test(value)) {
+          return this.error('Not a whole number');
+        }
+        return field.digits && value.replace(/^[-+]/, '').length > field.digits
+          ? this.error(`More than ${field.digits} digits`)
+          : null;
+
+      case 'double':
+      case 'currency':
+      case 'percent':
+        return this.validateNumber(value, field);
+
+      case 'date':
+        return this.isValidDate(value) ? null : this.error('Not a valid date (expected YYYY-MM-DD)');
+
+      case 'datetime':
+        return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(value) &&
+          this.isValidDate(value.slice(0, 10))
+          ? null
+          : this.error('Not a valid date/time (expected ISO 8601)');
+
+      case 'reference':
+      case 'id':
+        return PreflightValidator.isValidSalesforceId(value) ? null : this.error('Not a valid 15 or 18 character record ID');
+
+      case 'email':
+        return PreflightValidator.EMAIL_PATTERN.test(value)
+          ? this.validateLength(value, field)
+          : this.error('Not a valid email address');
+
+      case 'url':
+        return /^\S+\.\S+$/.test(value) ? this.validateLength(value, field) : this.error('Not a valid URL');
+
+      case 'phone':
+        return /^[+\d\s().\-\/#*]+((ext\.?|x)\s*\d+)?$/i.test(value) && /\d/.test(value)
+          ? this.validateLength(value, field)
+          : this.error('Not a valid phone number');
+
+      case 'picklist':
+      case 'multipicklist':
+        return this.validatePicklist(value, field) || this.validateLength(value, field);
+
+      default:
+        return this.validateLength(value, field);
+    }
+  }
+
+  error(message) {
+    return { severity: 'error', message };
+  }
+
+  validateLength(value, field) {
+    return field.length && value.length > field.length
+      ? this.error(`Longer than ${field.length} characters (${value.length})`)
+      : null;
+  }
+
+  // Unrestricted picklists accept new values, so only restricted ones are checked
+  validatePicklist(value, field) {
+    if (!field.restrictedPicklist) {
+      return null;
+    }
+
+    const allowed = new Set(field.picklistValues.filter(entry => entry.active !== false).map(entry => entry.value));
+    const values = field.type === 'multipicklist' ? value.split(';').map(part => part.trim()) : [value];
+    const invalid = values.filter(part => !allowed.has(part));
+
+    return invalid.length > 0 ? this.error(`Not in the picklist: ${invalid.join(', ')}`) : null;
+  }
+
+  // precision counts all digits and scale the decimals; extra decimals are rounded by Salesforce
+  validateNumber(value, field) {
+    const match = value.match(/^[-+]?(\d*)(?:\.(\d*))?$/);
+    if (!match || (match[1] === '' && !match[2])) {
+      return this.error('Not a number');
+    }
+
+    const integerDigits = match[1].replace(/^0+(?=\d)/, '').length;
+    const decimals = (match[2] || '').length;
+    const scale = field.scale || 0;
+
+    if (field.precision && integerDigits > field.precision - scale) {
+      return this.error(`Too many digits before the decimal point (at most ${field.precision - scale})`);
+    }
+    if (decimals > scale) {
+      return { severity: 'warning', message: `Will be rounded to ${scale} decimal place${scale === 1 ? '' : 's'}` };
+    }
+    return null;
+  }
+
+  isValidDate(value) {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return false;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  }
+
+  // 15-character IDs are case-sensitive; 18-character IDs end in a case checksum
+  static isValidSalesforceId(id) {
+    if (!/^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/.test(id)) {
+      return false;
+    }
+    if (id.length === 15) {
+      return true;
+    }
+
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+    let checksum = '';
+    for (let chunk = 0; chunk < 3; chunk++) {
+      let bits = 0;
+      for (let i = 0; i < 5; i++) {
+        const char = id.charAt(chunk * 5 + i);
+        if (char >= 'A' && char <= 'Z') {
+          bits |= 1 << i;
+        }
+      }
+      checksum += alphabet.charAt(bits);
+    }
+    return id.slice(15).toUpperCase() === checksum;
+  }
+}
+
+PreflightValidator.EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Individual issues kept for display; counts and invalid rows are always complete
+PreflightValidator.ISSUE_LIMIT = 1000;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PreflightValidator;
+} else {
+  window.PreflightValidator = PreflightValidator;
+}
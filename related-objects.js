@@ -0,0 +1,382 @@
+// Related Objects
+// Extra mapping sections that load more SObjects from the same file after the main one,
+// e.g. Accounts first and then their Contacts. Each section has its own processor over
+// the shared rows, and may fill one lookup field from the records an earlier object created.
+class RelatedObjectsPanel {
+  constructor(uploader) {
+    this.uploader = uploader;
+    this.container = document.getElementById('related-objects');
+    this.sections = [];
+
+    document.getElementById('add-related-object-btn').addEventListener('click', () => this.addSection());
+  }
+
+  hasSections() {
+    return this.sections.length > 0;
+  }
+
+  reset() {
+    this.sections = [];
+    this.container.innerHTML = '';
+  }
+
+  addSection() {
+    const section = {
+      objectName: null,
+      fields: [],
+      processor: new CSVProcessor(),
+      operation: 'insert',
+      externalIdField: null,
+      linkField: null,
+      parentStage: null
+    };
+    this.sections.push(section);
+    this.render();
+  }
+
+  removeSection(section) {
+    this.sections = this.sections.filter(candidate => candidate !== section);
+    this.render();
+    this.uploader.updateUploadStep();
+  }
+
+  // Main object first, then each section in order
+  getStageObjects() {
+    return [this.uploader.selectedObject, ...this.sections.map(section => section.objectName)];
+  }
+
+  async handleObjectChange(section, objectName) {
+    section.objectName = objectName || null;
+    section.fields = [];
+    section.processor = new CSVProcessor();
+    section.externalIdField = null;
+    section.linkField = null;
+    section.parentStage = null;
+
+    if (objectName) {
+      try {
+        const metadata = await this.uploader.api.getObjectMetadata(objectName);
+        section.fields = metadata.fields;
+        this.prepareProcessor(section);
+        this.suggestMappings(section);
+        this.suggestLink(section);
+      } catch (error) {
+        this.uploader.showError(`Failed to load ${objectName} fields: ${error.message}`);
+      }
+    }
+
+    this.render();
+    this.uploader.updateUploadStep();
+  }
+
+  // Point the section at the main processor's rows, derived columns, transforms and formats
+  prepareProcessor(section) {
+    section.processor.shareDataFrom(this.uploader.csvProcessor);
+    section.processor.setObjectFields(section.fields);
+  }
+
+  // Only columns no earlier object uses are suggested, so parent columns stay with the parent
+  suggestMappings(section) {
+    const used = new Set(Object.keys(this.uploader.csvProcessor.mappings));
+    this.sections
+      .slice(0, this.sections.indexOf(section))
+      .forEach(earlier => Object.keys(earlier.processor.mappings).forEach(column => used.add(column)));
+
+    const columns = section.processor.getColumns().filter(column => !used.has(column));
+    const suggestions = section.processor.generateMappingSuggestions(columns, section.fields);
+    Object.entries(suggestions).forEach(([column, fieldName]) => {
+      section.processor.setMapping(column, fieldName);
+    });
+  }
+
+  // Default to the first createable lookup that points at an earlier object
+  suggestLink(section) {
+    const [option] = this.getLinkOptions(section);
+    if (option) {
+      section.linkField = option.field.name;
+      section.parentStage = option.parentStage;
+    }
+  }
+
+  // Lookup fields of the section's object that an earlier object's new records can fill
+  getLinkOptions(section) {
+    const stageObjects = this.getStageObjects();
+    const sectionStage = this.sections.indexOf(section) + 1;
+    const options = [];
+
+    section.fields
+      .filter(field => field.type === 'reference' && field.createable && field.referenceTo)
+      .forEach(field => {
+        stageObjects.slice(0, sectionStage).forEach((objectName, parentStage) => {
+          if (field.referenceTo.includes(objectName)) {
+            options.push({ field, parentStage, objectName });
+          }
+        });
+      });
+
+    return options;
+  }
+
+  render() {
+    this.container.innerHTML = '';
+    this.sections.forEach((section, index) => this.container.appendChild(this.renderSection(section, index + 1)));
+  }
+
+  renderSection(section, stage) {
+    const sectionEl = document.createElement('div');
+    sectionEl.className = 'related-object';
+
+    const header = document.createElement('div');
+    header.className = 'template-bar';
+    const title = document.createElement('span');
+    title.className = 'field-label';
+    title.textContent = `${stage + 1}. Then load`;
+    header.appendChild(title);
+
+    const objectSelect = document.createElement('select');
+    objectSelect.innerHTML = '<option value="">Select an object...</option>';
+    this.uploader.salesforceObjects.forEach(obj => {
+      const option = document.createElement('option');
+      option.value = obj.name;
+      option.textContent = `${obj.label} (${obj.name})`;
+      objectSelect.appendChild(option);
+    });
+    objectSelect.value = section.objectName || '';
+    objectSelect.addEventListener('change', (e) => this.handleObjectChange(section, e.target.value));
+    header.appendChild(objectSelect);
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'secondary';
+    removeButton.textContent = '×';
+    removeButton.title = 'Remove this object';
+    removeButton.addEventListener('click', () => this.removeSection(section));
+    header.appendChild(removeButton);
+    sectionEl.appendChild(header);
+
+    if (!section.objectName || section.fields.length === 0) {
+      return sectionEl;
+    }
+
+    this.prepareProcessor(section);
+    sectionEl.appendChild(this.renderOptions(section));
+    sectionEl.appendChild(this.renderMappings(section));
+    return sectionEl;
+  }
+
+  // Operation, upsert external ID and the parent link
+  renderOptions(section) {
+    const options = document.createElement('div');
+    options.className = 'dialect-options';
+
+    const operationSelect = document.createElement('select');
+    operationSelect.innerHTML = '<option value="insert">Insert</option><option value="upsert">Upsert</option>';
+    operationSelect.value = section.operation;
+    options.appendChild(operationSelect);
+
+    const externalIdSelect = document.createElement('select');
+    externalIdSelect.innerHTML = '<option value="">Select an external ID field...</option>';
+    section.fields.filter(field => field.externalId || field.idLookup).forEach(field => {
+      const option = document.createElement('option');
+      option.value = field.name;
+      option.textContent = `${field.label} (${field.name})`;
+      externalIdSelect.appendChild(option);
+    });
+    externalIdSelect.value = section.externalIdField || '';
+    externalIdSelect.classList.toggle('hidden', section.operation !== 'upsert');
+    externalIdSelect.addEventListener('change', (e) => {
+      section.externalIdField = e.target.value || null;
+      this.uploader.updateUploadStep();
+    });
+    options.appendChild(externalIdSelect);
+
+    operationSelect.addEventListener('change', (e) => {
+      section.operation = e.target.value;
+      externalIdSelect.classList.toggle('hidden', section.operation !== 'upsert');
+      this.uploader.updateUploadStep();
+    });
+
+    const linkSelect = document.createElement('select');
+    linkSelect.innerHTML = '<option value="">No parent link</option>';
+    this.getLinkOptions(section).forEach(({ field, parentStage, objectName }) => {
+      const option = document.createElement('option');
+      option.value = `${field.name}|${parentStage}`;
+      option.textContent = `Set ${field.label} from the ${objectName} loaded in step ${parentStage + 1}`;
+      linkSelect.appendChild(option);
+    });
+    linkSelect.value = section.linkField ? `${section.linkField}|${section.parentStage}` : '';
+    linkSelect.addEventListener('change', (e) => {
+      const [fieldName, parentStage] = e.target.value.split('|');
+      section.linkField = fieldName || null;
+      section.parentStage = fieldName ? Number(parentStage) : null;
+      this.uploader.updateUploadStep();
+    });
+    options.appendChild(linkSelect);
+
+    return options;
+  }
+
+  renderMappings(section) {
+    const container = document.createElement('div');
+    container.className = 'mapping-container';
+    const mappings = section.processor.getMappings();
+
+    section.processor.getColumns().forEach(column => {
+      const row = document.createElement('div');
+      row.className = 'mapping-row';
+
+      const label = document.createElement('label');
+      label.textContent = column;
+
+      const select = document.createElement('select');
+      select.innerHTML = '<option value="">-- Select Field --</option>';
+      section.fields.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field.name;
+        option.textContent = `${field.label} (${field.name})${field.required ? ' *' : ''}`;
+        select.appendChild(option);
+      });
+      select.value = mappings[column] || '';
+      select.addEventListener('change', (e) => {
+        if (e.target.value) {
+          section.processor.setMapping(column, e.target.value);
+        } else {
+          delete section.processor.mappings[column];
+        }
+        this.uploader.updateUploadStep();
+      });
+
+      row.appendChild(label);
+      row.appendChild(select);
+      container.appendChild(row);
+    });
+
+    return container;
+  }
+
+  // Mapping problems of every section, prefixed with its object
+  validate() {
+    const errors = [];
+
+    if (this.hasSections() && !['insert', 'upsert'].includes(this.uploader.operation)) {
+      errors.push('Loading related objects needs Insert or Upsert for the main object');
+    }
+
+    this.sections.forEach((section, index) => {
+      const prefix = `Step ${index + 2}`;
+      if (!section.objectName) {
+        errors.push(`${prefix}: select an object`);
+        return;
+      }
+
+      this.prepareProcessor(section);
+      if (Object.keys(section.processor.mappings).length === 0) {
+        errors.push(`${prefix} (${section.objectName}): map at least one column`);
+      }
+
+      // The link field is filled from the parent results rather than from a column
+      const fields = section.fields.filter(field => field.name !== section.linkField);
+      section.processor.validateMappings(fields, section.operation, section.externalIdField)
+        .forEach(error => errors.push(`${prefix} (${section.objectName}): ${error}`));
+      if (section.linkField && Object.values(section.processor.mappings).includes(section.linkField)) {
+        errors.push(`${prefix} (${section.objectName}): ${section.linkField} is set from the parent, so unmap it`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Build one stage per object, in load order. Rows with the same values for an object
+  // become one record, so a parent repeated on several rows is created once. A child's link
+  // column holds the parent's record number until the background swaps in the new ID.
+  buildStages({ maxRows, maxBytes, excludeRows = null }) {
+    const main = this.uploader.csvProcessor;
+    const definitions = [
+      {
+        processor: main,
+        objectName: this.uploader.selectedObject,
+        ...this.uploader.getUploadTarget(),
+        linkField: null,
+        parentStage: null
+      },
+      ...this.sections.map(section => {
+        this.prepareProcessor(section);
+        return {
+          processor: section.processor,
+          objectName: section.objectName,
+          operation: section.operation,
+          externalIdFieldName: section.operation === 'upsert' ? section.externalIdField : null,
+          linkField: section.linkField,
+          parentStage: section.parentStage
+        };
+      })
+    ];
+
+    const stages = [];
+    const batches = [];
+    const stageRecords = [];
+    const rowRecords = []; // Per stage: file row -> record number
+
+    definitions.forEach((definition, stage) => {
+      const { processor, linkField, parentStage } = definition;
+      const recordNumbers = new Map();
+      const records = [];
+      const rowRecord = new Map();
+
+      processor.csvData.forEach((row, index) => {
+        if (excludeRows && excludeRows.has(index)) return;
+
+        let values;
+        try {
+          values = processor.getOutputValues(row);
+        } catch (error) {
+          throw new Error(`Row ${index + 1} (${definition.objectName}): ${error.message}`);
+        }
+        // Nothing for this object on this row
+        if (values.every(value => value === '')) return;
+
+        if (linkField) {
+          const parentRecord = rowRecords[parentStage].get(index);
+          values.push(parentRecord === undefined ? '' : String(parentRecord));
+        }
+
+        const key = JSON.stringify(values);
+        if (!recordNumbers.has(key)) {
+          recordNumbers.set(key, records.length);
+          records.push({ values, rows: [] });
+        }
+        const recordNumber = recordNumbers.get(key);
+        records[recordNumber].rows.push(index);
+        rowRecord.set(index, recordNumber);
+      });
+
+      rowRecords.push(rowRecord);
+      const headers = [...processor.getOutputHeaders(), ...(linkField ? [linkField] : [])];
+      processor.buildCSVBatches(
+        headers.join(','),
+        records.length,
+        position => records[position].values.map(value => processor.escapeCSVValue(value)).join(','),
+        { maxRows, maxBytes }
+      ).forEach(batch => batches.push({ ...batch, stage }));
+
+      stages.push({
+        objectName: definition.objectName,
+        operation: definition.operation,
+        externalIdFieldName: definition.externalIdFieldName,
+        headers,
+        linkField,
+        parentStage,
+        recordCount: records.length
+      });
+      stageRecords.push(records.map(record => record.rows));
+    });
+
+    return { stages, batches, stageRecords };
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RelatedObjectsPanel;
+} else {
+  window.RelatedObjectsPanel = RelatedObjectsPanel;
+}
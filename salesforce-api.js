@@ -26,7 +26,16 @@ class SalesforceAPI {
       
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `API request failed: ${response.status}`);
+        // Most REST errors come as an array of { message, errorCode }
+        const message = Array.isArray(errorData)
+          ? errorData.map(error => error.message).filter(Boolean).join('; ')
+          : errorData.message;
+        throw new Error(message || `API request failed: ${response.status}`);
+      }
+
+      // Updates such as Tooling PATCH return no content
+      if (response.status === 204) {
+        return null;
       }
 
       return await response.json();
@@ -63,7 +72,18 @@ class SalesforceAPI {
           createable: field.createable,
           updateable: field.updateable,
           length: field.length,
-          picklistValues: field.picklistValues || []
+          precision: field.precision,
+          scale: field.scale,
+          digits: field.digits,
+          externalId: field.externalId || false,
+          idLookup: field.idLookup || false,
+          unique: field.unique || false,
+          nameField: field.nameField || false,
+          filterable: field.filterable !== false,
+          referenceTo: field.referenceTo || [],
+          relationshipName: field.relationshipName || null,
+          picklistValues: field.picklistValues || [],
+          restrictedPicklist: field.restrictedPicklist || false
         }))
       };
     } catch (error) {
@@ -71,30 +91,110 @@ class SalesforceAPI {
     }
   }
 
-  // Create a new custom field
+  // Run a SOQL query and follow nextRecordsUrl until every record is loaded
+  async query(soql, { tooling = false } = {}) {
+    try {
+      let response = await this.makeRequest(`${tooling ? '/tooling' : ''}/query?q=${encodeURIComponent(soql)}`);
+      const records = [...response.records];
+      
+      while (!response.done && response.nextRecordsUrl) {
+        const endpoint = response.nextRecordsUrl.replace(`/services/data/${this.apiVersion}`, '');
+        response = await this.makeRequest(endpoint);
+        records.push(...response.records);
+      }
+      
+      return records;
+    } catch (error) {
+      throw new Error(`Query failed: ${error.message}`);
+    }
+  }
+
+  // Profiles (through the permission set each one owns) and custom permission sets
+  async getPermissionSets() {
+    const records = await this.query(
+      'SELECT Id, Label, IsOwnedByProfile, Profile.Name FROM PermissionSet ' +
+      'WHERE IsOwnedByProfile = true OR IsCustom = true ORDER BY IsOwnedByProfile DESC, Label'
+    );
+    return records.map(record => ({
+      id: record.Id,
+      label: record.IsOwnedByProfile && record.Profile ? record.Profile.Name : record.Label,
+      isProfile: record.IsOwnedByProfile
+    }));
+  }
+
+  async getPageLayouts(objectName) {
+    const records = await this.query(
+      `SELECT Id, Name FROM Layout WHERE EntityDefinition.QualifiedApiName = '${objectName}' ORDER BY Name`,
+      { tooling: true }
+    );
+    return records.map(record => ({ id: record.Id, name: record.Name }));
+  }
+
+  // Insert records of any types through sObject Collections without all-or-none,
+  // returning one { id, success, errors } per record in order. A request that fails
+  // marks only the records it carried as failed; later requests still run
+  async createRecords(records) {
+    const results = [];
+    
+    for (let start = 0; start < records.length; start += SalesforceAPI.COLLECTION_LIMIT) {
+      const chunk = records.slice(start, start + SalesforceAPI.COLLECTION_LIMIT);
+      try {
+        const response = await this.makeRequest('/composite/sobjects', {
+          method: 'POST',
+          body: JSON.stringify({ allOrNone: false, records: chunk })
+        });
+        results.push(...response);
+      } catch (error) {
+        results.push(...chunk.map(() => ({ id: null, success: false, errors: [{ message: error.message }] })));
+      }
+    }
+    
+    return results;
+  }
+
+  // Add fields ({ name, required }) to the end of a page layout's first section, in its
+  // shortest column. Fields already on the layout are left where they are
+  async addFieldsToLayout(layoutId, fields) {
+    const endpoint = `/tooling/sobjects/Layout/${layoutId}`;
+    const layout = await this.makeRequest(endpoint);
+    const metadata = layout.Metadata;
+    
+    const placed = new Set((metadata.layoutSections || [])
+      .flatMap(section => section.layoutColumns || [])
+      .flatMap(column => column.layoutItems || [])
+      .map(item => item.field)
+      .filter(Boolean));
+    const newFields = fields.filter(field => !placed.has(field.name));
+    if (newFields.length === 0) {
+      return;
+    }
+    
+    const section = (metadata.layoutSections || []).find(candidate => (candidate.layoutColumns || []).length > 0);
+    if (!section) {
+      throw new Error('The layout has no section to add fields to');
+    }
+    const column = section.layoutColumns.reduce((shortest, candidate) =>
+      (candidate.layoutItems || []).length < (shortest.layoutItems || []).length ? candidate : shortest);
+    column.layoutItems = [
+      ...(column.layoutItems || []),
+      ...newFields.map(field => ({ field: field.name, behavior: field.required ? 'Required' : 'Edit' }))
+    ];
+    
+    await this.makeRequest(endpoint, {
+      method: 'PATCH',
+      body: JSON.stringify({ FullName: layout.FullName, Metadata: metadata })
+    });
+  }
+
+  // Create a new custom field through the Tooling API, described as Metadata API CustomField
   async createCustomField(objectName, fieldDefinition) {
     const endpoint = `/tooling/sobjects/CustomField/`;
     
     const fieldData = {
-      DeveloperName: fieldDefinition.developerName,
-      Label: fieldDefinition.label,
-      TableEnumOrId: objectName,
-      Type: fieldDefinition.type,
-      Length: fieldDefinition.length,
-      Required: fieldDefinition.required || false
+      FullName: `${objectName}.${fieldDefinition.developerName}`,
+      Metadata: SalesforceAPI.buildFieldMetadata(fieldDefinition)
     };
 
-    // Add type-specific properties
-    if (fieldDefinition.type === 'Picklist') {
-      fieldData.Metadata = {
-        values: fieldDefinition.picklistValues.map(value => ({
-          fullName: value,
-          default: false,
-          label: value
-        }))
-      };
-    }
-
     try {
       const response = await this.makeRequest(endpoint, {
         method: 'POST',
@@ -106,8 +206,78 @@ class SalesforceAPI {
     }
   }
 
+  // CustomField metadata for a field definition from CSVProcessor.generateFieldSuggestion
+  static buildFieldMetadata(definition) {
+    const metadata = {
+      label: definition.label,
+      type: definition.type
+    };
+    
+    if (definition.helpText) {
+      metadata.inlineHelpText = definition.helpText;
+    }
+    // Checkboxes and long text areas cannot be required
+    if (definition.required && !['Checkbox', 'LongTextArea'].includes(definition.type)) {
+      metadata.required = true;
+    }
+    
+    switch (definition.type) {
+      case 'Text':
+        metadata.length = definition.length || 255;
+        break;
+        
+      case 'LongTextArea':
+        metadata.length = definition.length || 32768;
+        metadata.visibleLines = definition.visibleLines || 5;
+        break;
+        
+      case 'Number':
+      case 'Currency':
+      case 'Percent':
+        metadata.precision = definition.precision || 18;
+        metadata.scale = definition.scale || 0;
+        break;
+        
+      case 'Checkbox':
+        metadata.defaultValue = definition.defaultValue ? 'true' : 'false';
+        break;
+        
+      case 'Picklist':
+      case 'MultiselectPicklist':
+        metadata.valueSet = {
+          restricted: false,
+          valueSetDefinition: {
+            sorted: false,
+            value: (definition.picklistValues || []).map(value => ({
+              fullName: value,
+              default: false,
+              label: value
+            }))
+          }
+        };
+        if (definition.type === 'MultiselectPicklist') {
+          metadata.visibleLines = definition.visibleLines || 4;
+        }
+        break;
+        
+      case 'Location':
+        metadata.scale = definition.scale === null || definition.scale === undefined ? 6 : definition.scale;
+        metadata.displayLocationInDecimal = true;
+        break;
+        
+      case 'Lookup':
+        metadata.referenceTo = definition.referenceTo;
+        metadata.relationshipName = definition.developerName.replace(/__c$/, '');
+        metadata.relationshipLabel = definition.label;
+        metadata.deleteConstraint = 'SetNull';
+        break;
+    }
+    
+    return metadata;
+  }
+
   // Bulk API methods
-  async createBulkJob(objectName, operation = 'insert') {
+  async createBulkJob(objectName, operation = 'insert', externalIdFieldName = null) {
     const bulkUrl = `${this.instanceUrl}/services/data/${this.apiVersion}/jobs/ingest`;
     
     const jobData = {
@@ -117,6 +287,14 @@ class SalesforceAPI {
       lineEnding: 'LF'
     };
 
+    // Upsert jobs match existing records on an external ID field
+    if (operation === 'upsert') {
+      if (!externalIdFieldName) {
+        throw new Error('Upsert requires an external ID field');
+      }
+      jobData.externalIdFieldName = externalIdFieldName;
+    }
+
     try {
       const response = await fetch(bulkUrl, {
         method: 'POST',
@@ -183,6 +361,29 @@ class SalesforceAPI {
     }
   }
 
+  async abortBulkJob(jobId) {
+    const abortUrl = `${this.instanceUrl}/services/data/${this.apiVersion}/jobs/ingest/${jobId}`;
+    
+    try {
+      const response = await fetch(abortUrl, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ state: 'Aborted' })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to abort job: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      throw new Error(`Job abort failed: ${error.message}`);
+    }
+  }
+
   async getBulkJobStatus(jobId) {
     try {
       const response = await this.makeRequest(`/jobs/ingest/${jobId}`);
@@ -218,55 +419,211 @@ class SalesforceAPI {
     }
   }
 
-  // Complete bulk upload process
-  async performBulkUpload(objectName, csvData, operation = 'insert') {
-    try {
-      // Create bulk job
-      const job = await this.createBulkJob(objectName, operation);
-      console.log('Bulk job created:', job.id);
-
-      // Upload data
-      await this.uploadBulkData(job.id, csvData);
-      console.log('Data uploaded to job:', job.id);
-
-      // Close job
-      await this.closeBulkJob(job.id);
-      console.log('Job closed:', job.id);
-
-      // Monitor job status
-      let jobStatus;
-      let attempts = 0;
-      const maxAttempts = 30;
-
-      do {
-        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
-        jobStatus = await this.getBulkJobStatus(job.id);
-        attempts++;
+  // Validate records without keeping them. They are sent through sObject Collections with
+  // allOrNone, followed by a sentinel record of another object that always fails. Collections
+  // save each run of same-type records as its own chunk, in order, so the real records go
+  // through triggers, validation rules and duplicate rules before the sentinel's chunk fails
+  // and the request is rolled back. Returns one { success, errors } result per record.
+  async simulateOperation(objectName, records, { operation = 'insert', externalIdFieldName = null } = {}) {
+    if (records.length === 0 || records.length >= SalesforceAPI.COLLECTION_LIMIT) {
+      throw new Error(`A dry run takes 1 to ${SalesforceAPI.COLLECTION_LIMIT - 1} records`);
+    }
+    
+    const sentinel = SalesforceAPI.getSentinel(objectName);
+    let results;
+    
+    switch (operation) {
+      case 'insert':
+        // The sentinel leaves out its object's required name field
+        results = await this.makeRequest('/composite/sobjects', {
+          method: 'POST',
+          body: JSON.stringify({ allOrNone: true, records: [...records, { attributes: { type: sentinel.type } }] })
+        });
+        break;
         
-        if (attempts >= maxAttempts) {
-          throw new Error('Job monitoring timeout');
-        }
-      } while (jobStatus.state === 'InProgress' || jobStatus.state === 'JobInProgress');
+      case 'update':
+        // The sentinel is a well-formed ID of the other object that matches no record
+        results = await this.makeRequest('/composite/sobjects', {
+          method: 'PATCH',
+          body: JSON.stringify({ allOrNone: true, records: [...records, { attributes: { type: sentinel.type }, Id: sentinel.id }] })
+        });
+        break;
+        
+      case 'upsert':
+        return this.simulateUpsert(objectName, records, externalIdFieldName);
+        
+      case 'delete':
+      case 'hardDelete': {
+        // Hard delete has no REST equivalent; a delete runs the same checks
+        const ids = [...records.map(record => record.Id), sentinel.id].join(',');
+        results = await this.makeRequest(`/composite/sobjects?ids=${encodeURIComponent(ids)}&allOrNone=true`, {
+          method: 'DELETE'
+        });
+        break;
+      }
+        
+      default:
+        throw new Error(`Unsupported operation: ${operation}`);
+    }
+    
+    const sentinelResult = results[results.length - 1];
+    if (sentinelResult && sentinelResult.success) {
+      // Should never happen, but never leave inserted records behind
+      if (operation === 'insert') {
+        const createdIds = results.filter(result => result.success && result.id).map(result => result.id);
+        await this.makeRequest(`/composite/sobjects?ids=${createdIds.join(',')}&allOrNone=false`, { method: 'DELETE' })
+          .catch(error => console.error('Dry run cleanup failed:', error));
+      }
+      throw new Error('The dry run could not be rolled back; check the records in Salesforce');
+    }
+    
+    return results.slice(0, records.length);
+  }
 
-      // Get results
-      const results = await this.getBulkJobResults(job.id);
-      
-      return {
-        jobId: job.id,
-        status: jobStatus,
-        results: results,
-        recordsProcessed: jobStatus.numberRecordsProcessed,
-        recordsFailed: jobStatus.numberRecordsFailed
-      };
-    } catch (error) {
-      throw new Error(`Bulk upload failed: ${error.message}`);
+  // Collections upsert takes a single object, which leaves no room for a sentinel of another
+  // one. Records whose external ID matches an existing record are validated as updates of it
+  // and the rest as inserts, which is what the upsert would do with them
+  async simulateUpsert(objectName, records, externalIdFieldName) {
+    if (!externalIdFieldName) {
+      throw new Error('An external ID field is required for upsert');
     }
+    if (externalIdFieldName === 'Id') {
+      return this.simulateUpsertById(objectName, records);
+    }
+    
+    const metadata = await this.getObjectMetadata(objectName);
+    const field = metadata.fields.find(candidate => candidate.name === externalIdFieldName);
+    const unquoted = field && ['int', 'double', 'long'].includes(field.type);
+    const values = [...new Set(records
+      .map(record => record[externalIdFieldName])
+      .filter(value => value !== null && value !== undefined && value !== '')
+      .map(String)
+      .filter(value => !unquoted || !isNaN(Number(value))))];
+    
+    const existingIds = new Map(); // Lowercase external ID -> record Id
+    if (values.length > 0) {
+      const literals = values.map(value => unquoted ? value : `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`);
+      const existing = await this.query(
+        `SELECT Id, ${externalIdFieldName} FROM ${objectName} WHERE ${externalIdFieldName} IN (${literals.join(',')})`
+      );
+      existing.forEach(record => existingIds.set(String(record[externalIdFieldName]).toLowerCase(), record.Id));
+    }
+    
+    const results = new Array(records.length);
+    const updates = [];
+    const inserts = [];
+    records.forEach((record, index) => {
+      const value = record[externalIdFieldName];
+      if (value === null || value === undefined || value === '') {
+        results[index] = {
+          success: false,
+          errors: [{ statusCode: 'MISSING_ARGUMENT', message: `${externalIdFieldName} not specified`, fields: [externalIdFieldName] }]
+        };
+      } else if (existingIds.has(String(value).toLowerCase())) {
+        updates.push({ index, record: { ...record, Id: existingIds.get(String(value).toLowerCase()) } });
+      } else {
+        inserts.push({ index, record });
+      }
+    });
+    
+    return this.simulateGroups(objectName, results, { update: updates, insert: inserts });
+  }
+
+  // Upserting by Id updates the record with that Id, so only rows without one are inserts
+  async simulateUpsertById(objectName, records) {
+    const updates = [];
+    const inserts = [];
+    records.forEach((record, index) => {
+      if (record.Id) {
+        updates.push({ index, record });
+      } else {
+        const { Id, ...fields } = record;
+        inserts.push({ index, record: fields });
+      }
+    });
+    return this.simulateGroups(objectName, new Array(records.length), { update: updates, insert: inserts });
+  }
+
+  // Validate each group of { index, record } with its operation and fill in results by index
+  async simulateGroups(objectName, results, groups) {
+    for (const [operation, group] of Object.entries(groups)) {
+      if (group.length === 0) continue;
+      const groupResults = await this.simulateOperation(objectName, group.map(item => item.record), { operation });
+      group.forEach((item, position) => {
+        results[item.index] = groupResults[position];
+      });
+    }
+    return results;
+  }
+
+  // A record of another object than the one being validated, so it is saved in its own chunk
+  static getSentinel(objectName) {
+    return SalesforceAPI.SENTINELS.find(sentinel => sentinel.type !== objectName);
+  }
+
+  // Merge per-job results into one result with combined counts and result files
+  combineJobResults(jobs) {
+    const startedJobs = jobs.filter(job => !job.error);
+    const finishedJobs = startedJobs.filter(job => !job.stillRunning);
+    const states = [...new Set(startedJobs.map(job => job.status.state))];
+    
+    let state = states.length === 1 ? states[0] : states.join(', ');
+    if (startedJobs.length === 0) {
+      state = 'Failed';
+    } else if (startedJobs.length < jobs.length) {
+      state = 'PartiallyFailed';
+    }
+    
+    return {
+      jobId: startedJobs.map(job => job.jobId).join(', '),
+      jobs: jobs,
+      status: { state },
+      stillRunning: startedJobs.some(job => job.stillRunning),
+      results: {
+        successful: this.combineResultCSVs(finishedJobs.map(job => job.results.successful)),
+        failed: this.combineResultCSVs(finishedJobs.map(job => job.results.failed))
+      },
+      recordsProcessed: startedJobs.reduce((sum, job) => sum + (job.recordsProcessed || 0), 0),
+      recordsFailed: startedJobs.reduce((sum, job) => sum + (job.recordsFailed || 0), 0)
+    };
+  }
+
+  // Concatenate result CSVs, keeping only the first header line
+  combineResultCSVs(csvTexts) {
+    let header = null;
+    const bodies = [];
+    
+    csvTexts.filter(text => text && text.trim()).forEach(text => {
+      const newline = text.indexOf('\n');
+      const firstLine = newline === -1 ? text : text.substring(0, newline);
+      const body = newline === -1 ? '' : text.substring(newline + 1).replace(/\n$/, '');
+      
+      header = header || firstLine;
+      if (body) {
+        bodies.push(body);
+      }
+    });
+    
+    return header ? [header, ...bodies].join('\n') : '';
   }
 }
 
+// Bulk API 2.0 ingest job states after which nothing more will happen
+SalesforceAPI.TERMINAL_JOB_STATES = ['JobComplete', 'Failed', 'Aborted'];
+
+// sObject Collections accept at most 200 records per request
+SalesforceAPI.COLLECTION_LIMIT = 200;
+
+// Records that force a dry-run rollback: inserted without their required name field, or
+// updated and deleted by a well-formed ID that belongs to no record
+SalesforceAPI.SENTINELS = [
+  { type: 'Account', id: '001000000000000AAA' },
+  { type: 'Contact', id: '003000000000000AAA' }
+];
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SalesforceAPI;
 } else {
-  window.SalesforceAPI = SalesforceAPI;
+  self.SalesforceAPI = SalesforceAPI;
 }
\ No newline at end of file
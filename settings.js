@@ -0,0 +1,27 @@
+// Extension settings shared by the popup and the background service worker
+
+const DEFAULT_SETTINGS = {
+  apiVersion: 'v58.0',
+  batchSize: 10000, // Maximum rows per Bulk API job
+  maxBatchBytes: 100 * 1024 * 1024, // Bulk API 2.0 allows 150 MB base64, roughly 100 MB raw
+  maxParallelJobs: 1,
+  pollIntervalMs: 2000, // First status poll delay; grows by pollBackoffFactor per poll
+  pollBackoffFactor: 1.5,
+  maxPollIntervalMs: 30000,
+  maxPollWaitMs: 15 * 60 * 1000, // After this the job is reported as still running
+  dryRunSampleSize: 50, // Rows sent in a validate-only run (at most 199)
+  typeInferenceAgreement: 0.9, // Share of a column's values that must fit a suggested field type
+  typeInferenceSampleSize: 20000, // Rows read per column when suggesting types for larger files
+  enableLogging: false
+};
+
+// Load stored settings, filling in defaults for anything missing
+async function loadSettings() {
+  const result = await chrome.storage.local.get(['sf_settings']);
+  return { ...DEFAULT_SETTINGS, ...(result.sf_settings || {}) };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DEFAULT_SETTINGS, loadSettings };
+}
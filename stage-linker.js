@@ -0,0 +1,155 @@
+// Stage Linker
+// Background side of multi-object uploads. Each object is a stage whose jobs only start
+// once the earlier stages have finished. A finished stage's result files are matched back
+// to the records that were sent, which gives the IDs for child lookups and lets failures be
+// reported against the file rows each record came from.
+class StageLinker {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Swap parent record numbers in a child batch for the IDs the parent stage created.
+  // Returns null when no record in the batch has a parent to link to.
+  async linkBatch(upload, job, csv) {
+    const stage = upload.stages[job.stage];
+    if (!stage.linkField) {
+      return csv;
+    }
+
+    const parent = await this.store.getStage(upload.id, stage.parentStage);
+    const { header, records } = this.readBatch(csv, stage, parent.ids);
+    const lines = records.filter(record => !record.skipped).map(record => this.formatLine(record.values));
+
+    return lines.length > 0 ? [this.formatLine(header), ...lines].join('\n') : null;
+  }
+
+  // Match a finished stage's results to its records, store the new IDs for later stages
+  // and add a row error for every file row whose record failed or was never sent
+  async resolveStage(upload, stageIndex, api) {
+    const stage = upload.stages[stageIndex];
+    const data = await this.store.getStage(upload.id, stageIndex);
+    const parent = stage.linkField ? await this.store.getStage(upload.id, stage.parentStage) : null;
+    const ids = new Array(stage.recordCount).fill(null);
+    const errors = new Array(stage.recordCount).fill(null);
+
+    for (const job of upload.jobs.filter(candidate => candidate.stage === stageIndex)) {
+      const fallback = job.error || job.errorMessage || 'No result returned by Salesforce';
+      const csv = await this.store.getBatch(upload.id, job.index);
+      if (csv === null) {
+        errors.fill(fallback, job.startRow, job.startRow + job.rowCount);
+        continue;
+      }
+
+      // Identical records can share a key; each result takes the next unmatched one
+      const recordsByKey = new Map();
+      this.readBatch(csv, stage, parent && parent.ids).records.forEach((record, position) => {
+        const recordIndex = job.startRow + position;
+        if (record.skipped) {
+          errors[recordIndex] = `Not loaded because its ${upload.stages[stage.parentStage].objectName} record failed`;
+          return;
+        }
+        const key = JSON.stringify(record.values);
+        if (!recordsByKey.has(key)) {
+          recordsByKey.set(key, []);
+        }
+        recordsByKey.get(key).push(recordIndex);
+      });
+
+      if (job.jobId) {
+        const results = await api.getBulkJobResults(job.jobId);
+        this.readResults(results.successful, stage.headers).forEach(({ key, fields }) => {
+          const recordIndex = (recordsByKey.get(key) || []).shift();
+          if (recordIndex !== undefined) {
+            ids[recordIndex] = fields.sf__Id;
+          }
+        });
+        this.readResults(results.failed, stage.headers).forEach(({ key, fields }) => {
+          const recordIndex = (recordsByKey.get(key) || []).shift();
+          if (recordIndex !== undefined) {
+            errors[recordIndex] = fields.sf__Error || 'Unknown error';
+          }
+        });
+      }
+
+      recordsByKey.forEach(recordIndexes => recordIndexes.forEach(recordIndex => {
+        errors[recordIndex] = fallback;
+      }));
+    }
+
+    await this.store.putStage(upload.id, stageIndex, { recordRows: data.recordRows, ids, errors });
+
+    errors.forEach((message, recordIndex) => {
+      if (!message) return;
+      data.recordRows[recordIndex].forEach(row => {
+        upload.rowErrorCount++;
+        if (upload.rowErrors.length < StageLinker.ROW_ERROR_LIMIT) {
+          upload.rowErrors.push({ row: row + 1, objectName: stage.objectName, message });
+        }
+      });
+    });
+    stage.resolved = true;
+  }
+
+  // Records of a stored batch as they are sent: child link values become parent IDs,
+  // and records whose parent has no ID are marked skipped
+  readBatch(csv, stage, parentIds) {
+    const [header, ...rows] = this.parse(csv);
+    const linkIndex = stage.linkField ? header.indexOf(stage.linkField) : -1;
+
+    const records = rows.map(values => {
+      if (linkIndex === -1 || values[linkIndex] === '') {
+        return { values, skipped: false };
+      }
+      const parentId = parentIds[Number(values[linkIndex])];
+      if (!parentId) {
+        return { values, skipped: true };
+      }
+      const linked = [...values];
+      linked[linkIndex] = parentId;
+      return { values: linked, skipped: false };
+    });
+
+    return { header, records };
+  }
+
+  // Result rows keyed by the values that were sent, in the order of headers
+  readResults(csv, headers) {
+    if (!csv || !csv.trim()) {
+      return [];
+    }
+
+    const [resultHeader, ...rows] = this.parse(csv);
+    const positions = headers.map(header => resultHeader.indexOf(header));
+
+    return rows.map(values => {
+      const fields = {};
+      resultHeader.forEach((name, index) => {
+        fields[name] = values[index] || '';
+      });
+      const key = JSON.stringify(positions.map(position => position === -1 ? '' : (values[position] || '')));
+      return { key, fields };
+    });
+  }
+
+  parse(csv) {
+    const records = [];
+    const parser = new CSVParser();
+    parser.push(csv, fields => records.push(fields));
+    parser.finish(fields => records.push(fields));
+    return records;
+  }
+
+  formatLine(values) {
+    return values.map(value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value).join(',');
+  }
+}
+
+// Row errors kept on the upload for display; rowErrorCount is always complete
+StageLinker.ROW_ERROR_LIMIT = 1000;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StageLinker;
+} else {
+  self.StageLinker = StageLinker;
+}
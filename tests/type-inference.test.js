@@ -0,0 +1,37 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const TypeInference = require('../type-inference.js');
+
+const inference = new TypeInference();
+
+test('dates that are not real dates are not phone numbers', () => {
+  assert.strictEqual(inference.infer(['2024-01-05', '2024-02-30']).type, 'Text');
+  assert.strictEqual(inference.infer(['01.05.2024', '31.02.2024']).type, 'Text');
+  assert.strictEqual(inference.infer(['+1 (555) 123-4567', '555.123.4567', '020 7946 0958']).type, 'Phone');
+});
+
+test('only currency symbols and known ISO codes make a currency', () => {
+  assert.strictEqual(inference.readCurrency('001000000000001AAA'), null);
+  assert.strictEqual(inference.readCurrency('100ABC'), null);
+  assert.strictEqual(inference.readCurrency('USD'), null);
+  assert.deepStrictEqual(inference.readCurrency('$1,234.50'), { integerDigits: 4, decimals: 2 });
+  assert.deepStrictEqual(inference.readCurrency('100 USD'), { integerDigits: 3, decimals: 0 });
+  assert.deepStrictEqual(inference.readCurrency('EUR100'), { integerDigits: 3, decimals: 0 });
+});
+
+test('integers with leading zeros stay text', () => {
+  assert.strictEqual(inference.infer(['001', '002', '0042']).type, 'Text');
+  assert.strictEqual(inference.readCurrency('$007'), null);
+  assert.strictEqual(inference.readPercent('05%'), null);
+  assert.deepStrictEqual(inference.readNumber('0.5'), { integerDigits: 1, decimals: 1 });
+  assert.strictEqual(inference.infer(['0', '10', '250']).type, 'Number');
+});
+
+test('number precision fits the largest value and falls back to Text past 18 digits', () => {
+  const number = inference.infer(['12.5', '1234.75', '3']);
+  assert.strictEqual(number.type, 'Number');
+  assert.strictEqual(number.precision, 6);
+  assert.strictEqual(number.scale, 2);
+  assert.strictEqual(inference.infer(['1234567890123456789', '1']).type, 'Text');
+});
@@ -0,0 +1,262 @@
+// Column Transform Editor
+// Inline editor under a mapping row for building a column's transform pipeline,
+// with a live preview of the first rows. Changes apply to the processor immediately.
+class TransformEditor {
+  constructor(uploader) {
+    this.uploader = uploader;
+    this.column = null;
+    this.steps = [];
+    this.container = null;
+    this.onChange = null;
+  }
+
+  // Open the editor for a column inside container; onChange runs after every edit
+  open(column, container, onChange) {
+    if (this.container && this.container !== container) {
+      this.close();
+    }
+
+    this.column = column;
+    this.steps = JSON.parse(JSON.stringify(this.uploader.csvProcessor.transforms[column] || []));
+    this.container = container;
+    this.onChange = onChange;
+    this.render();
+  }
+
+  close() {
+    if (this.container) {
+      this.container.innerHTML = '';
+      this.container.classList.add('hidden');
+    }
+    this.container = null;
+    this.column = null;
+  }
+
+  isOpen(column) {
+    return this.column === column;
+  }
+
+  render() {
+    this.container.innerHTML = '';
+    this.container.classList.remove('hidden');
+
+    this.steps.forEach((step, index) => this.container.appendChild(this.renderStep(step, index)));
+
+    const addRow = document.createElement('div');
+    addRow.className = 'transform-add';
+    const addSelect = document.createElement('select');
+    addSelect.innerHTML = '<option value="">+ Add transform...</option>';
+    ColumnTransforms.TYPES.forEach(type => {
+      const option = document.createElement('option');
+      option.value = type.value;
+      option.textContent = type.label;
+      addSelect.appendChild(option);
+    });
+    addSelect.addEventListener('change', (e) => {
+      const type = ColumnTransforms.TYPES.find(candidate => candidate.value === e.target.value);
+      if (!type) return;
+      this.steps.push({ type: type.value, ...JSON.parse(JSON.stringify(type.defaults)) });
+      this.commit();
+      this.render();
+    });
+    addRow.appendChild(addSelect);
+
+    const doneButton = document.createElement('button');
+    doneButton.className = 'secondary';
+    doneButton.textContent = 'Done';
+    doneButton.addEventListener('click', () => this.close());
+    addRow.appendChild(doneButton);
+    this.container.appendChild(addRow);
+
+    this.previewEl = document.createElement('div');
+    this.previewEl.className = 'transform-preview';
+    this.container.appendChild(this.previewEl);
+    this.renderPreview();
+  }
+
+  renderStep(step, index) {
+    const stepEl = document.createElement('div');
+    stepEl.className = 'transform-step';
+
+    const title = document.createElement('span');
+    title.className = 'transform-step-title';
+    title.textContent = `${index + 1}. ${ColumnTransforms.describe(step)}`;
+    stepEl.appendChild(title);
+
+    switch (step.type) {
+      case 'trim':
+        stepEl.appendChild(this.createCheckbox(step, 'collapse', 'Collapse inner spaces'));
+        break;
+      case 'case':
+        stepEl.appendChild(this.createSelect(step, 'mode', [
+          ['upper', 'UPPER'], ['lower', 'lower'], ['title', 'Title Case']
+        ]));
+        break;
+      case 'replace':
+        stepEl.appendChild(this.createInput(step, 'pattern', 'Pattern'));
+        stepEl.appendChild(this.createInput(step, 'replacement', 'Replace with ($1 for groups)'));
+        stepEl.appendChild(this.createInput(step, 'flags', 'Flags', 'transform-flags'));
+        break;
+      case 'split':
+        stepEl.appendChild(this.createInput(step, 'separator', 'Separator', 'transform-flags'));
+        stepEl.appendChild(this.createSelect(step, 'part', [
+          ['1', 'First part'], ['2', 'Second part'], ['3', 'Third part'],
+          ['last', 'Last part'], ['rest', 'All but first']
+        ]));
+        break;
+      case 'concat':
+        stepEl.appendChild(this.createSelect(step, 'column', [
+          ['', 'Select column...'],
+          ...this.uploader.csvProcessor.headers.map(header => [header, header])
+        ]));
+        stepEl.appendChild(this.createInput(step, 'separator', 'Separator', 'transform-flags'));
+        stepEl.appendChild(this.createSelect(step, 'position', [['after', 'After'], ['before', 'Before']]));
+        break;
+      case 'constant':
+      case 'default':
+        stepEl.appendChild(this.createInput(step, 'value', 'Value'));
+        break;
+      case 'lookup':
+        stepEl.appendChild(this.createLookupTable(step));
+        stepEl.appendChild(this.createCheckbox(step, 'ignoreCase', 'Ignore case'));
+        stepEl.appendChild(this.createSelect(step, 'fallback', [['', 'Keep unmatched'], ['clear', 'Clear unmatched']], {
+          read: value => value === '' ? 'clear' : '',
+          write: value => value === 'clear' ? '' : null
+        }));
+        break;
+      case 'date':
+        stepEl.appendChild(this.createInput(step, 'from', 'From (e.g. DD/MM/YYYY)'));
+        stepEl.appendChild(this.createInput(step, 'to', 'To (e.g. YYYY-MM-DD)'));
+        break;
+    }
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'secondary transform-remove';
+    removeButton.textContent = '×';
+    removeButton.title = 'Remove this transform';
+    removeButton.addEventListener('click', () => {
+      this.steps.splice(index, 1);
+      this.commit();
+      this.render();
+    });
+    stepEl.appendChild(removeButton);
+
+    return stepEl;
+  }
+
+  createInput(step, key, placeholder, className = '') {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = className;
+    input.placeholder = placeholder;
+    input.title = placeholder;
+    input.value = step[key] || '';
+    input.addEventListener('input', (e) => {
+      step[key] = e.target.value;
+      this.commit();
+    });
+    return input;
+  }
+
+  createCheckbox(step, key, labelText) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = Boolean(step[key]);
+    checkbox.addEventListener('change', (e) => {
+      step[key] = e.target.checked;
+      this.commit();
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${labelText}`));
+    return label;
+  }
+
+  // options are [value, label] pairs; convert maps between the step value and the option value
+  createSelect(step, key, options, convert = null) {
+    const select = document.createElement('select');
+    options.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = convert ? convert.read(step[key]) : (step[key] || '');
+    select.addEventListener('change', (e) => {
+      step[key] = convert ? convert.write(e.target.value) : e.target.value;
+      this.commit();
+    });
+    return select;
+  }
+
+  // One "from=to" pair per line
+  createLookupTable(step) {
+    const textarea = document.createElement('textarea');
+    textarea.rows = 3;
+    textarea.placeholder = 'One mapping per line, e.g.\nCA=California\nNY=New York';
+    textarea.value = Object.entries(step.table || {}).map(([from, to]) => `${from}=${to}`).join('\n');
+    textarea.addEventListener('input', (e) => {
+      const table = {};
+      e.target.value.split('\n').forEach(line => {
+        const separator = line.indexOf('=');
+        if (separator > 0) {
+          table[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+      });
+      step.table = table;
+      this.commit();
+    });
+    return textarea;
+  }
+
+  // Store the pipeline on the processor and refresh the preview
+  commit() {
+    this.uploader.csvProcessor.setTransforms(this.column, this.steps);
+    this.renderPreview();
+    if (this.onChange) {
+      this.onChange(this.steps);
+    }
+  }
+
+  renderPreview() {
+    const rows = this.uploader.csvProcessor.previewColumn(this.column, this.steps, TransformEditor.PREVIEW_ROWS);
+    this.previewEl.innerHTML = '';
+
+    const table = document.createElement('table');
+    table.className = 'failure-table';
+    const headerRow = document.createElement('tr');
+    ['Original', 'Result'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    rows.forEach(row => {
+      const tr = document.createElement('tr');
+      const rawCell = document.createElement('td');
+      rawCell.textContent = row.raw;
+      const valueCell = document.createElement('td');
+      if (row.error) {
+        valueCell.textContent = row.error;
+        valueCell.className = 'transform-error';
+      } else {
+        valueCell.textContent = row.value;
+      }
+      tr.appendChild(rawCell);
+      tr.appendChild(valueCell);
+      table.appendChild(tr);
+    });
+
+    this.previewEl.appendChild(table);
+  }
+}
+
+TransformEditor.PREVIEW_ROWS = 5;
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TransformEditor;
+} else {
+  window.TransformEditor = TransformEditor;
+}
@@ -0,0 +1,314 @@
+// Type Inference
+// Suggests a Salesforce field type for a column from all of its values, or from a stratified
+// sample when the file is large. Every candidate type gets the share of values that fit it,
+// and a type is only chosen when at least the agreement share of values does.
+class TypeInference {
+  constructor(options = {}) {
+    this.options = { ...TypeInference.DEFAULT_OPTIONS, ...options };
+  }
+
+  inferColumn(rows, column) {
+    const { values, rowCount, sampled } = this.sampleValues(rows, column);
+    return { ...this.infer(values), rowCount, sampled };
+  }
+
+  // Non-empty values of a column. Above sampleSize rows, the file is cut into equal strata
+  // and each gives the same number of evenly spaced rows, so every part of it is represented
+  sampleValues(rows, column) {
+    const { sampleSize } = this.options;
+    let sample = rows;
+
+    if (rows.length > sampleSize) {
+      sample = [];
+      const perStratum = Math.ceil(sampleSize / TypeInference.STRATA);
+      const stratumSize = rows.length / TypeInference.STRATA;
+      for (let stratum = 0; stratum < TypeInference.STRATA; stratum++) {
+        const start = Math.floor(stratum * stratumSize);
+        const step = (Math.floor((stratum + 1) * stratumSize) - start) / perStratum;
+        for (let position = 0; position < perStratum; position++) {
+          sample.push(rows[start + Math.floor(position * step)]);
+        }
+      }
+    }
+
+    return {
+      values: sample.map(row => (row[column] || '').trim()).filter(value => value !== ''),
+      rowCount: sample.length,
+      sampled: sample !== rows
+    };
+  }
+
+  // { type, share, candidates: [{ type, share }], mismatches, mixed, ... } plus the settings
+  // the chosen type needs: length, precision and scale, keyPrefix or separator. mixed is set
+  // when the column falls back to text although another type fits a large share of it
+  infer(values) {
+    const maxLength = values.reduce((max, value) => Math.max(max, value.length), 0);
+    const base = {
+      valueCount: values.length,
+      distinctCount: new Set(values).size,
+      maxLength,
+      candidates: [],
+      mismatches: [],
+      mixed: false
+    };
+    if (values.length === 0) {
+      return { ...base, type: 'Text', share: 0, length: 255 };
+    }
+
+    const matchers = this.createMatchers(values);
+    const shares = {};
+    Object.entries(matchers).forEach(([type, matches]) => {
+      shares[type] = values.filter(value => matches(value)).length / values.length;
+    });
+    base.candidates = Object.entries(shares)
+      .filter(([, share]) => share > 0)
+      .sort(([, a], [, b]) => b - a)
+      .map(([type, share]) => ({ type, share }));
+
+    const type = TypeInference.TYPE_ORDER.find(candidate => shares[candidate] >= this.options.agreement);
+    const matches = type && matchers[type];
+    const settings = type && this.describeType(type, values.filter(value => matches(value)));
+    if (!settings) {
+      const mixed = base.candidates.some(candidate => !TypeInference.TEXT_LIKE_TYPES.includes(candidate.type) &&
+        candidate.share >= TypeInference.MIXED_MIN_SHARE);
+      return { ...base, ...this.describeText(maxLength), share: 1, mixed };
+    }
+
+    return {
+      ...base,
+      ...settings,
+      type,
+      share: shares[type],
+      mismatches: [...new Set(values.filter(value => !matches(value)))].slice(0, TypeInference.MISMATCH_SAMPLES)
+    };
+  }
+
+  // Value tests per candidate type. Picklists and lookups also depend on the whole column
+  createMatchers(values) {
+    const keyPrefix = this.findKeyPrefix(values);
+    const repeated = this.findRepeated(values.map(value => value.toLowerCase()));
+    const parts = values.flatMap(value => this.splitMultiSelect(value)).map(part => part.toLowerCase());
+    const repeatedParts = this.findRepeated(parts);
+    const isPicklist = values.length >= TypeInference.PICKLIST_MIN_VALUES &&
+      new Set(values.map(value => value.toLowerCase())).size <= TypeInference.PICKLIST_MAX_VALUES;
+    const isMultiSelect = values.length >= TypeInference.PICKLIST_MIN_VALUES &&
+      new Set(parts).size <= TypeInference.PICKLIST_MAX_VALUES;
+    const hasDelimiters = values.filter(value => value.includes(';')).length / values.length >= TypeInference.MULTISELECT_MIN_SHARE;
+
+    return {
+      Checkbox: value => TypeInference.CHECKBOX_VALUES.includes(value.toLowerCase()),
+      Lookup: value => keyPrefix !== null && TypeInference.ID_PATTERN.test(value) && value.startsWith(keyPrefix),
+      Percent: value => this.readPercent(value) !== null,
+      Currency: value => this.readCurrency(value) !== null,
+      Number: value => this.readNumber(value) !== null,
+      DateTime: value => this.isDateTime(value),
+      Date: value => this.isDate(value),
+      Location: value => this.readLocation(value) !== null,
+      Email: value => TypeInference.EMAIL_PATTERN.test(value),
+      Url: value => TypeInference.URL_PATTERN.test(value),
+      Phone: value => TypeInference.PHONE_PATTERN.test(value) && !TypeInference.DATE_SHAPE_PATTERN.test(value) &&
+        this.countDigits(value) >= 7 && this.countDigits(value) <= 15,
+      MultiselectPicklist: value => isMultiSelect && hasDelimiters &&
+        this.splitMultiSelect(value).every(part => repeatedParts.has(part.toLowerCase())),
+      Picklist: value => isPicklist && repeated.has(value.toLowerCase()) && value.length <= 255
+    };
+  }
+
+  // Settings for the chosen type from the values that fit it, or null when no field of the
+  // type can hold them
+  describeType(type, values) {
+    switch (type) {
+      case 'Number':
+      case 'Currency':
+      case 'Percent': {
+        const read = type === 'Number' ? this.readNumber : type === 'Currency' ? this.readCurrency : this.readPercent;
+        const numbers = values.map(value => read.call(this, value));
+        const integerDigits = numbers.reduce((max, number) => Math.max(max, number.integerDigits), 0);
+        const decimals = Math.min(TypeInference.MAX_SCALE, numbers.reduce((max, number) => Math.max(max, number.decimals), 0));
+        const scale = type === 'Currency' ? Math.max(2, decimals) : decimals;
+        // Precision counts the digits on both sides of the decimal point
+        if (integerDigits + scale > TypeInference.MAX_PRECISION) {
+          return null;
+        }
+        return { length: null, precision: Math.max(1, integerDigits + scale), scale };
+      }
+      case 'Location': {
+        const locations = values.map(value => this.readLocation(value));
+        const scale = locations.reduce((max, location) => Math.max(max, location.decimals), 0);
+        return { length: null, scale: Math.min(TypeInference.MAX_SCALE, Math.max(scale, 1)), separator: locations[0].separator };
+      }
+      case 'Lookup':
+        return { length: null, keyPrefix: values[0].slice(0, 3) };
+      default:
+        return { length: null };
+    }
+  }
+
+  describeText(maxLength) {
+    if (maxLength > 255) {
+      return { type: 'LongTextArea', length: maxLength <= 32768 ? 32768 : 131072 };
+    }
+    return { type: 'Text', length: maxLength > 80 ? 255 : 80 };
+  }
+
+  // { integerDigits, decimals } for a plain number in the file's number format, or null
+  readNumber(value) {
+    const [group, decimal] = this.options.decimalSeparator === ',' ? ['.', ','] : [',', '.'];
+    const pattern = new RegExp(`^[-+]?(\\d{1,3}(\\${group}\\d{3})+|\\d*)(\\${decimal}(\\d+))?$`);
+    const match = pattern.exec(value);
+    if (!match || !/\d/.test(value)) {
+      return null;
+    }
+    // Codes like 007 would lose their zeros in a number field
+    if (/^0\d/.test(match[1])) {
+      return null;
+    }
+    return { integerDigits: match[1].replace(/\D/g, '').length, decimals: (match[4] || '').length };
+  }
+
+  // A number with a currency symbol or a known ISO code before or after it; (5.00) is negative
+  readCurrency(value) {
+    const inner = value.replace(/^\((.*)\)$/, '$1').trim();
+    const match = /^([-+]?)\s*(\p{Sc}|[A-Z]{3})?\s*(.*?)\s*(\p{Sc}|[A-Z]{3})?$/u.exec(inner);
+    const marker = match && (match[2] || match[4]);
+    if (!marker || (match[2] && match[4]) || (/^[A-Z]{3}$/.test(marker) && !TypeInference.CURRENCY_CODES.includes(marker))) {
+      return null;
+    }
+    return this.readNumber(match[1] + match[3]);
+  }
+
+  readPercent(value) {
+    const match = /^(.+?)\s*%$/.exec(value);
+    return match ? this.readNumber(match[1]) : null;
+  }
+
+  // "latitude, longitude" in decimal degrees
+  readLocation(value) {
+    const match = /^([-+]?\d{1,2}(?:\.(\d+))?)\s*([,;])\s*([-+]?\d{1,3}(?:\.(\d+))?)$/.exec(value);
+    if (!match || (!match[2] && !match[5])) {
+      return null;
+    }
+    if (Math.abs(Number(match[1])) > 90 || Math.abs(Number(match[4])) > 180) {
+      return null;
+    }
+    return { separator: match[3], decimals: Math.max((match[2] || '').length, (match[5] || '').length) };
+  }
+
+  // ISO dates, and day/month/year or month/day/year that make a real date either way round
+  isDate(value) {
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+    if (match) {
+      return this.isValidDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+    match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+    if (match) {
+      const [first, second, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+      return this.isValidDate(year, second, first) || this.isValidDate(year, first, second);
+    }
+    return false;
+  }
+
+  isDateTime(value) {
+    const match = /^(.+?)[T\s](\d{1,2}):(\d{2})(:\d{2}(\.\d+)?)?\s*([AP]M)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(value);
+    return Boolean(match) && this.isDate(match[1]) && Number(match[2]) < 24 && Number(match[3]) < 60;
+  }
+
+  isValidDate(year, month, day) {
+    return month >= 1 && month <= 12 && day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  // The key prefix shared by most values that look like record IDs
+  findKeyPrefix(values) {
+    const counts = new Map();
+    values.filter(value => TypeInference.ID_PATTERN.test(value)).forEach(value => {
+      const prefix = value.slice(0, 3);
+      counts.set(prefix, (counts.get(prefix) || 0) + 1);
+    });
+    const [best] = [...counts.entries()].sort(([, a], [, b]) => b - a);
+    return best ? best[0] : null;
+  }
+
+  // Values that occur more than once
+  findRepeated(values) {
+    const seen = new Set();
+    const repeated = new Set();
+    values.forEach(value => {
+      if (seen.has(value)) {
+        repeated.add(value);
+      }
+      seen.add(value);
+    });
+    return repeated;
+  }
+
+  splitMultiSelect(value) {
+    return value.split(';').map(part => part.trim()).filter(part => part !== '');
+  }
+
+  countDigits(value) {
+    return (value.match(/\d/g) || []).length;
+  }
+}
+
+TypeInference.DEFAULT_OPTIONS = {
+  agreement: 0.9, // Share of values that must fit a type before it is chosen
+  sampleSize: 20000, // Rows read from larger files, spread over the strata
+  decimalSeparator: '.'
+};
+
+TypeInference.STRATA = 20;
+
+// When several types reach the agreement share the first one wins: 0/1 is a checkbox,
+// and a repeated small number is still a number rather than a picklist
+TypeInference.TYPE_ORDER = [
+  'Checkbox', 'Lookup', 'Percent', 'Currency', 'Number', 'DateTime', 'Date', 'Location',
+  'Email', 'Url', 'Phone', 'MultiselectPicklist', 'Picklist'
+];
+
+TypeInference.CHECKBOX_VALUES = ['true', 'false', 'yes', 'no', 'y', 'n', '1', '0'];
+
+TypeInference.ID_PATTERN = /^(?=.*\d)(?=.*[a-zA-Z])[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+TypeInference.EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+TypeInference.URL_PATTERN = /^(https?:\/\/|www\.)\S+$/i;
+
+TypeInference.PHONE_PATTERN = /^\+?[\d\s\-().]+(\s*(x|ext\.?)\s*\d+)?$/i;
+
+// Dates that are not real dates, like 2024-02-30, are not phone numbers either
+TypeInference.DATE_SHAPE_PATTERN = /^(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})$/;
+
+// ISO codes read as a currency next to a number; other three-letter suffixes are not
+TypeInference.CURRENCY_CODES = [
+  'AUD', 'BRL', 'CAD', 'CHF', 'CNY', 'CZK', 'DKK', 'EUR', 'GBP', 'HKD', 'HUF', 'IDR', 'ILS',
+  'INR', 'JPY', 'KRW', 'MXN', 'MYR', 'NOK', 'NZD', 'PHP', 'PLN', 'RON', 'RUB', 'SAR', 'SEK',
+  'SGD', 'THB', 'TRY', 'TWD', 'UAH', 'USD', 'ZAR'
+];
+
+// A column is only a picklist with enough values to see repeats, and few enough distinct ones
+TypeInference.PICKLIST_MIN_VALUES = 10;
+
+TypeInference.PICKLIST_MAX_VALUES = 100;
+
+// Share of values that must hold a ; for a multi-select picklist
+TypeInference.MULTISELECT_MIN_SHARE = 0.1;
+
+TypeInference.MAX_PRECISION = 18;
+
+TypeInference.MAX_SCALE = 8;
+
+// Values that do not fit the chosen type, kept as examples
+TypeInference.MISMATCH_SAMPLES = 10;
+
+// Share of a text column that another type must fit before the column counts as mixed
+TypeInference.MIXED_MIN_SHARE = 0.3;
+
+// Candidates that are still text, so they never make a column mixed
+TypeInference.TEXT_LIKE_TYPES = ['Picklist', 'MultiselectPicklist'];
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TypeInference;
+} else {
+  window.TypeInference = TypeInference;
+}
@@ -0,0 +1,197 @@
+// Upload History Panel
+// Lists every upload recorded by the background (sf_upload_history) with actions to
+// download result files, abort running uploads and open jobs in Salesforce Setup.
+class UploadHistoryPanel {
+  constructor(uploader) {
+    this.uploader = uploader;
+    this.container = document.getElementById('history-list');
+    this.expanded = false;
+
+    document.getElementById('history-toggle').addEventListener('click', () => this.toggle());
+    document.getElementById('history-clear').addEventListener('click', () => this.clear());
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.sf_upload_history && this.expanded) {
+        this.render(changes.sf_upload_history.newValue || []);
+      }
+    });
+  }
+
+  async toggle() {
+    this.expanded = !this.expanded;
+    document.getElementById('history-panel').classList.toggle('hidden', !this.expanded);
+    document.getElementById('history-toggle').textContent = this.expanded ? 'Hide Upload History' : 'Show Upload History';
+
+    if (this.expanded) {
+      this.render(await this.loadHistory());
+    }
+  }
+
+  async loadHistory() {
+    const result = await chrome.storage.local.get(['sf_upload_history']);
+    return result.sf_upload_history || [];
+  }
+
+  async clear() {
+    if (!confirm('Clear the upload history? Running uploads are not affected.')) return;
+    await chrome.storage.local.remove(['sf_upload_history']);
+    this.render([]);
+  }
+
+  render(history) {
+    this.container.innerHTML = '';
+
+    if (history.length === 0) {
+      this.container.textContent = 'No uploads yet.';
+      return;
+    }
+
+    history.forEach(entry => this.container.appendChild(this.renderEntry(entry)));
+  }
+
+  renderEntry(entry) {
+    const item = document.createElement('div');
+    item.className = 'history-entry';
+
+    const title = document.createElement('div');
+    title.className = 'history-title';
+    title.textContent = `${entry.operation} ${entry.objectName} · ${entry.fileName || 'unnamed file'}`;
+    item.appendChild(title);
+
+    const succeeded = entry.recordsProcessed - entry.recordsFailed;
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = `${this.describeState(entry)} · ${succeeded} succeeded, ${entry.recordsFailed} failed ` +
+      `of ${entry.totalRecords} · started ${new Date(entry.createdAt).toLocaleString()}` +
+      (entry.completedAt ? ` · finished ${new Date(entry.completedAt).toLocaleString()}` : '') +
+      (entry.rowErrorCount ? ` · ${entry.rowErrorCount} file rows not loaded` : '');
+    item.appendChild(meta);
+
+    const jobs = document.createElement('ul');
+    jobs.className = 'history-jobs';
+    entry.jobs.forEach(job => {
+      const jobItem = document.createElement('li');
+      // Multi-object jobs cover records of one object rather than file rows
+      const rows = entry.stages
+        ? `${entry.stages[job.stage].objectName} records ${job.startRow + 1}-${job.startRow + job.rowCount}`
+        : `rows ${job.startRow + 1}-${job.startRow + job.rowCount}`;
+
+      if (job.jobId) {
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = job.jobId;
+        link.title = 'Open in Salesforce Setup';
+        link.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.openInSetup(entry, job.jobId);
+        });
+        jobItem.appendChild(link);
+        jobItem.appendChild(document.createTextNode(` ${job.state || ''} (${rows})`));
+      } else {
+        jobItem.textContent = `Not submitted (${rows})`;
+      }
+
+      if (job.error || job.errorMessage) {
+        jobItem.appendChild(document.createTextNode(`: ${job.error || job.errorMessage}`));
+      }
+      jobs.appendChild(jobItem);
+    });
+    item.appendChild(jobs);
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    const hasJobs = entry.jobs.some(job => job.jobId);
+
+    if (hasJobs) {
+      actions.appendChild(this.createButton('Successes CSV', () => this.downloadResults(entry, 'successful')));
+      actions.appendChild(this.createButton('Failures CSV', () => this.downloadResults(entry, 'failed')));
+    }
+    if (UploadHistoryPanel.ACTIVE_STATES.includes(entry.state)) {
+      actions.appendChild(this.createButton('Abort', () => this.abort(entry)));
+    }
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'secondary';
+    button.textContent = label;
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        await onClick();
+      } catch (error) {
+        this.uploader.showError(error.message);
+      } finally {
+        button.disabled = false;
+      }
+    });
+    return button;
+  }
+
+  describeState(entry) {
+    const labels = {
+      uploading: 'Uploading',
+      processing: 'Processing',
+      complete: 'Complete',
+      failed: 'Failed',
+      aborted: 'Aborted'
+    };
+    return labels[entry.state] || entry.state;
+  }
+
+  // Re-fetch result files from Salesforce; they stay available there for about a week
+  async downloadResults(entry, kind) {
+    if (!this.uploader.api) {
+      throw new Error('Connect to Salesforce to download results');
+    }
+
+    // Objects of a multi-object upload have different columns, so each gets its own file
+    const groups = entry.stages
+      ? entry.stages.map((stage, index) => ({ ...stage, jobs: entry.jobs.filter(job => job.stage === index) }))
+      : [{ objectName: entry.objectName, operation: entry.operation, jobs: entry.jobs }];
+    let downloaded = 0;
+
+    for (const group of groups) {
+      const jobIds = group.jobs.filter(job => job.jobId).map(job => job.jobId);
+      const results = await Promise.all(jobIds.map(jobId => this.uploader.api.getBulkJobResults(jobId)));
+      const csv = this.uploader.api.combineResultCSVs(results.map(result => result[kind]));
+      if (!csv) continue;
+
+      const suffix = kind === 'successful' ? 'success' : 'failures';
+      this.uploader.downloadFile(`${group.objectName}_${group.operation}_${entry.id.slice(0, 8)}_${suffix}.csv`, csv, 'text/csv');
+      downloaded++;
+    }
+
+    if (downloaded === 0) {
+      throw new Error(`No ${kind === 'successful' ? 'successful' : 'failed'} records found for this upload`);
+    }
+  }
+
+  async abort(entry) {
+    if (!confirm(`Abort the ${entry.operation} of ${entry.fileName}? Records already processed are not rolled back.`)) return;
+    await this.uploader.sendMessage({ type: 'abort_upload', uploadId: entry.id });
+  }
+
+  openInSetup(entry, jobId) {
+    const instanceUrl = entry.instanceUrl || (this.uploader.api && this.uploader.api.instanceUrl);
+    if (!instanceUrl) {
+      this.uploader.showError('Connect to Salesforce to open this job');
+      return;
+    }
+
+    const address = encodeURIComponent(`/${jobId}`);
+    chrome.tabs.create({ url: `${instanceUrl}/lightning/setup/AsyncApiJobStatus/page?address=${address}` });
+  }
+}
+
+UploadHistoryPanel.ACTIVE_STATES = ['uploading', 'processing'];
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UploadHistoryPanel;
+} else {
+  window.UploadHistoryPanel = UploadHistoryPanel;
+}
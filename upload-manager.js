@@ -0,0 +1,461 @@
+// Background Upload Manager
+// Owns Bulk API uploads inside the service worker so they survive the popup closing.
+// Upload state lives in chrome.storage.local (sf_uploads) and batch CSV in IndexedDB,
+// so a restarted worker picks up where the last one stopped; the upload_monitor
+// alarm wakes the worker while any upload is still active. Multi-object uploads run
+// their objects as stages, in order, with StageLinker carrying parent IDs forward.
+class UploadManager {
+  constructor() {
+    this.store = new UploadDataStore();
+    this.linker = new StageLinker(this.store);
+    this.uploads = null;
+    this.ticking = false;
+    this.timer = null;
+    this.inFlight = new Set(); // Batches this worker instance is currently sending
+    this.saving = Promise.resolve(); // Last queued write of uploads and history
+  }
+
+  async ensureLoaded() {
+    if (!this.uploads) {
+      const result = await chrome.storage.local.get(['sf_uploads']);
+      this.uploads = result.sf_uploads || {};
+    }
+  }
+
+  // Writes run one at a time: uploadJob saves while the tick loop does, and saveHistory
+  // reads and rewrites the whole history
+  save() {
+    const write = this.saving.then(async () => {
+      await chrome.storage.local.set({ 'sf_uploads': this.uploads });
+      await this.saveHistory();
+    });
+    this.saving = write.catch(() => {});
+    return write;
+  }
+
+  // Mirror every known upload into the persistent history used for audit trails
+  async saveHistory() {
+    const result = await chrome.storage.local.get(['sf_upload_history']);
+    const history = result.sf_upload_history || [];
+
+    Object.values(this.uploads).forEach(upload => {
+      const entry = this.toHistoryEntry(upload);
+      const index = history.findIndex(existing => existing.id === upload.id);
+      if (index === -1) {
+        history.unshift(entry);
+      } else {
+        history[index] = entry;
+      }
+    });
+
+    await chrome.storage.local.set({ 'sf_upload_history': history.slice(0, UploadManager.HISTORY_LIMIT) });
+  }
+
+  toHistoryEntry(upload) {
+    return {
+      id: upload.id,
+      objectName: upload.objectName,
+      operation: upload.operation,
+      externalIdFieldName: upload.externalIdFieldName,
+      fileName: upload.fileName,
+      instanceUrl: upload.instanceUrl,
+      state: upload.state,
+      totalRecords: upload.totalRecords,
+      recordsProcessed: upload.jobs.reduce((sum, job) => sum + job.numberRecordsProcessed, 0),
+      recordsFailed: upload.jobs.reduce((sum, job) => sum + job.numberRecordsFailed, 0),
+      createdAt: upload.createdAt,
+      completedAt: upload.completedAt,
+      stages: upload.stages ? upload.stages.map(stage => ({ objectName: stage.objectName, operation: stage.operation })) : null,
+      rowErrorCount: upload.rowErrorCount || 0,
+      jobs: upload.jobs.map(job => ({
+        stage: job.stage,
+        jobId: job.jobId,
+        state: job.state,
+        startRow: job.startRow,
+        rowCount: job.rowCount,
+        numberRecordsProcessed: job.numberRecordsProcessed,
+        numberRecordsFailed: job.numberRecordsFailed,
+        errorMessage: job.errorMessage,
+        error: job.error
+      }))
+    };
+  }
+
+  // Register a new upload whose batches the popup has already written to IndexedDB
+  async startUpload(request) {
+    await this.ensureLoaded();
+
+    const now = Date.now();
+    const upload = {
+      id: request.uploadId,
+      objectName: request.objectName,
+      operation: request.operation,
+      externalIdFieldName: request.externalIdFieldName || null,
+      fileName: request.fileName,
+      instanceUrl: request.instanceUrl,
+      totalRecords: request.totalRecords,
+      settings: request.settings,
+      stages: request.stages || null,
+      rowErrors: [],
+      rowErrorCount: 0,
+      state: 'uploading',
+      stillRunning: false,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      jobs: request.batches.map((batch, index) => ({
+        index: index,
+        stage: batch.stage || 0,
+        startRow: batch.startRow,
+        rowCount: batch.rowCount,
+        phase: 'pending',
+        jobId: null,
+        state: null,
+        numberRecordsProcessed: 0,
+        numberRecordsFailed: 0,
+        errorMessage: null,
+        error: null,
+        stillRunning: false,
+        processingSince: null,
+        pollInterval: null,
+        nextPollAt: null
+      }))
+    };
+
+    this.uploads[upload.id] = upload;
+    await this.save();
+
+    chrome.alarms.create('upload_monitor', { periodInMinutes: 1 });
+    this.scheduleTick(0);
+
+    return upload;
+  }
+
+  async getUploads() {
+    await this.ensureLoaded();
+    return Object.values(this.uploads).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Finished uploads are dropped once the popup has shown their results
+  async acknowledgeUpload(uploadId) {
+    await this.ensureLoaded();
+    const upload = this.uploads[uploadId];
+
+    if (upload && !UploadManager.ACTIVE_STATES.includes(upload.state)) {
+      delete this.uploads[uploadId];
+      await this.save();
+    }
+  }
+
+  // Stop an active upload: abort its open Salesforce jobs and skip batches not yet sent
+  async abortUpload(uploadId) {
+    await this.ensureLoaded();
+    const upload = this.uploads[uploadId];
+
+    if (!upload || !UploadManager.ACTIVE_STATES.includes(upload.state)) {
+      throw new Error('Upload is not running');
+    }
+
+    upload.aborted = true;
+    const api = await this.getApi();
+    for (const job of upload.jobs) {
+      if (job.phase === 'pending') {
+        job.phase = 'error';
+        job.error = 'Aborted by user';
+      } else if (job.phase === 'uploading') {
+        // uploadJob aborts the job itself once its current step returns
+        job.aborted = true;
+      } else if (job.jobId && !SalesforceAPI.TERMINAL_JOB_STATES.includes(job.state)) {
+        // A job that already finished on the server rejects the abort; the others still go
+        await api.abortBulkJob(job.jobId).catch(error => {
+          console.warn(`Failed to abort job ${job.jobId}:`, error);
+        });
+        // Let the next poll pick up the final Aborted state and counts
+        job.nextPollAt = Date.now();
+      }
+    }
+
+    await this.save();
+    this.scheduleTick(0);
+  }
+
+  scheduleTick(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  // Advance every active upload: poll running jobs and start pending ones
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.ensureLoaded();
+      const active = Object.values(this.uploads)
+        .filter(upload => UploadManager.ACTIVE_STATES.includes(upload.state));
+
+      if (active.length === 0) {
+        chrome.alarms.clear('upload_monitor');
+        return;
+      }
+
+      const api = await this.getApi();
+      for (const upload of active) {
+        await this.advance(upload, api);
+      }
+
+      await this.save();
+      this.scheduleNextTick();
+    } catch (error) {
+      // Usually an expired session; the alarm retries once the user reconnects
+      console.error('Upload monitor error:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  scheduleNextTick() {
+    const dueTimes = Object.values(this.uploads)
+      .filter(upload => UploadManager.ACTIVE_STATES.includes(upload.state))
+      .flatMap(upload => upload.jobs)
+      .filter(job => job.phase === 'processing')
+      .map(job => job.nextPollAt);
+
+    if (dueTimes.length > 0) {
+      this.scheduleTick(Math.max(1000, Math.min(...dueTimes) - Date.now()));
+    }
+  }
+
+  async advance(upload, api) {
+    const settings = upload.settings;
+    const now = Date.now();
+
+    for (const job of upload.jobs) {
+      // A previous worker died while sending this batch; start the batch over, unless the
+      // upload was aborted meanwhile
+      if (job.phase === 'uploading' && !this.inFlight.has(this.batchKey(upload, job))) {
+        if (job.jobId) {
+          await api.abortBulkJob(job.jobId).catch(() => {});
+        }
+        job.phase = job.aborted ? 'error' : 'pending';
+        job.error = job.aborted ? 'Aborted by user' : null;
+        job.jobId = null;
+      }
+
+      if (job.phase === 'processing' && job.nextPollAt <= now) {
+        await this.pollJob(upload, job, api);
+      }
+    }
+
+    if (upload.stages) {
+      await this.resolveFinishedStages(upload, api);
+    }
+
+    // Start pending batches while there is room for more jobs in flight
+    const busy = upload.jobs.filter(job => job.phase === 'uploading' || job.phase === 'processing').length;
+    let capacity = settings.maxParallelJobs - busy;
+    for (const job of upload.jobs) {
+      if (capacity <= 0) break;
+      if (job.phase === 'pending' && this.isStageReady(upload, job.stage)) {
+        capacity--;
+        this.uploadJob(upload, job, api);
+      }
+    }
+
+    const finished = upload.jobs.every(job => job.phase === 'done' || job.phase === 'error') &&
+      (!upload.stages || upload.stages.every(stage => stage.resolved));
+    if (finished) {
+      await this.finishUpload(upload);
+    } else {
+      upload.state = upload.jobs.some(job => job.phase === 'processing') ? 'processing' : 'uploading';
+      upload.stillRunning = upload.jobs.some(job => job.stillRunning);
+    }
+
+    upload.updatedAt = Date.now();
+  }
+
+  // Stages resolve in order, each once all of its jobs are over
+  async resolveFinishedStages(upload, api) {
+    for (let index = 0; index < upload.stages.length; index++) {
+      const stage = upload.stages[index];
+      if (stage.resolved) continue;
+
+      const jobs = upload.jobs.filter(job => job.stage === index);
+      if (!jobs.every(job => job.phase === 'done' || job.phase === 'error')) return;
+      await this.linker.resolveStage(upload, index, api);
+    }
+  }
+
+  // A stage's jobs wait until every earlier stage has been resolved
+  isStageReady(upload, stageIndex) {
+    return !upload.stages || upload.stages.slice(0, stageIndex).every(stage => stage.resolved);
+  }
+
+  async pollJob(upload, job, api) {
+    const settings = upload.settings;
+
+    try {
+      const status = await api.getBulkJobStatus(job.jobId);
+      job.state = status.state;
+      job.numberRecordsProcessed = status.numberRecordsProcessed || 0;
+      job.numberRecordsFailed = status.numberRecordsFailed || 0;
+      job.errorMessage = status.errorMessage || null;
+
+      if (SalesforceAPI.TERMINAL_JOB_STATES.includes(status.state)) {
+        job.phase = 'done';
+        job.stillRunning = false;
+        return;
+      }
+    } catch (error) {
+      // Transient failures just wait for the next poll
+      console.warn(`Status check failed for job ${job.jobId}:`, error);
+    }
+
+    // Past the wait limit the job is flagged, but the worker keeps checking at the slowest rate
+    if (Date.now() - job.processingSince >= settings.maxPollWaitMs) {
+      job.stillRunning = true;
+      job.pollInterval = settings.maxPollIntervalMs;
+    } else {
+      job.pollInterval = Math.min(job.pollInterval * settings.pollBackoffFactor, settings.maxPollIntervalMs);
+    }
+    job.nextPollAt = Date.now() + job.pollInterval;
+  }
+
+  // Create, fill and close one Bulk API job; runs alongside the tick loop
+  async uploadJob(upload, job, api) {
+    const key = this.batchKey(upload, job);
+    this.inFlight.add(key);
+    job.phase = 'uploading';
+
+    try {
+      let csv = await this.store.getBatch(upload.id, job.index);
+      if (csv === null) {
+        throw new Error('Upload data is no longer available');
+      }
+
+      const target = upload.stages ? upload.stages[job.stage] : upload;
+      if (upload.stages) {
+        csv = await this.linker.linkBatch(upload, job, csv);
+        if (csv === null) {
+          // Every parent in this batch failed; the stage resolution reports the rows
+          job.phase = 'done';
+          return;
+        }
+      }
+
+      if (await this.stopIfAborted(job, api)) return;
+      const created = await api.createBulkJob(target.objectName, target.operation, target.externalIdFieldName);
+      job.jobId = created.id;
+      job.state = created.state;
+      if (await this.stopIfAborted(job, api)) return;
+      await this.save();
+
+      await api.uploadBulkData(job.jobId, csv);
+      if (await this.stopIfAborted(job, api)) return;
+      const closed = await api.closeBulkJob(job.jobId);
+      // Multi-object batches are read again when their stage's results are matched
+      if (!upload.stages) {
+        await this.store.deleteBatch(upload.id, job.index);
+      }
+
+      job.phase = 'processing';
+      job.state = closed.state || 'UploadComplete';
+      job.processingSince = Date.now();
+      job.pollInterval = upload.settings.pollIntervalMs;
+      job.nextPollAt = Date.now() + job.pollInterval;
+    } catch (error) {
+      job.phase = 'error';
+      job.error = error.message;
+      if (job.jobId) {
+        await api.abortBulkJob(job.jobId).catch(() => {});
+      }
+    } finally {
+      this.inFlight.delete(key);
+      await this.save();
+      this.scheduleTick(0);
+    }
+  }
+
+  // Abort a job the user stopped while its batch was being sent, instead of closing it
+  async stopIfAborted(job, api) {
+    if (!job.aborted) {
+      return false;
+    }
+    if (job.jobId) {
+      await api.abortBulkJob(job.jobId).catch(() => {});
+      job.state = 'Aborted';
+    }
+    job.phase = 'error';
+    job.error = 'Aborted by user';
+    return true;
+  }
+
+  async finishUpload(upload) {
+    if (upload.aborted) {
+      upload.state = 'aborted';
+    } else {
+      upload.state = upload.jobs.every(job => job.phase === 'error' || job.state === 'Failed')
+        ? 'failed'
+        : 'complete';
+    }
+    upload.stillRunning = false;
+    upload.completedAt = Date.now();
+
+    await this.store.deleteUpload(upload.id).catch(error => {
+      console.warn('Failed to clear upload data:', error);
+    });
+
+    this.notify(upload);
+  }
+
+  notify(upload) {
+    const processed = upload.jobs.reduce((sum, job) => sum + job.numberRecordsProcessed, 0);
+    const failed = upload.jobs.reduce((sum, job) => sum + job.numberRecordsFailed, 0);
+    const jobErrors = upload.jobs.filter(job => job.error).length;
+
+    let message = `${upload.operation} ${upload.objectName} from ${upload.fileName}: ` +
+      `${processed - failed} succeeded, ${failed} failed`;
+    if (upload.state === 'aborted') {
+      message += ', the rest was aborted';
+    } else if (jobErrors > 0) {
+      message += `, ${jobErrors} job(s) could not be submitted`;
+    }
+    if (upload.stages && upload.rowErrorCount > 0) {
+      message += `, ${upload.rowErrorCount} file row(s) not loaded`;
+    }
+
+    chrome.notifications.create(`upload_${upload.id}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: UploadManager.NOTIFICATION_TITLES[upload.state],
+      message: message
+    });
+  }
+
+  async getApi() {
+    const auth = new SalesforceAuth();
+    const tokenData = await auth.getAccessToken() || await auth.refreshAccessToken();
+    return new SalesforceAPI(tokenData.accessToken, tokenData.instanceUrl);
+  }
+
+  batchKey(upload, job) {
+    return `${upload.id}:${job.index}`;
+  }
+}
+
+UploadManager.ACTIVE_STATES = ['uploading', 'processing'];
+
+UploadManager.HISTORY_LIMIT = 200;
+
+UploadManager.NOTIFICATION_TITLES = {
+  complete: 'Salesforce upload finished',
+  failed: 'Salesforce upload failed',
+  aborted: 'Salesforce upload aborted'
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UploadManager;
+} else {
+  self.UploadManager = UploadManager;
+}
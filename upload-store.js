@@ -0,0 +1,102 @@
+// Upload Data Store
+// Keeps batch CSV in IndexedDB so the background service worker can upload it
+// after the popup closes. chrome.storage is too small for multi-megabyte batches.
+// Multi-object uploads also keep per-object record data (source rows, created IDs) here.
+class UploadDataStore {
+  constructor() {
+    this.dbName = 'sf_csv_uploader';
+    this.storeName = 'batches';
+    this.stageStoreName = 'stages';
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 2);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: ['uploadId', 'index'] });
+        }
+        if (!db.objectStoreNames.contains(this.stageStoreName)) {
+          db.createObjectStore(this.stageStoreName, { keyPath: ['uploadId', 'stage'] });
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onerror = () => {
+        reject(new Error(`Failed to open upload store: ${request.error && request.error.message}`));
+      };
+    });
+  }
+
+  // Run a callback against one object store (batches by default) inside a single transaction
+  async transaction(mode, callback, storeName = this.storeName) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const store = tx.objectStore(storeName);
+      let result;
+
+      const request = callback(store);
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(new Error(`Upload store error: ${tx.error && tx.error.message}`));
+      tx.onabort = () => reject(new Error(`Upload store error: ${tx.error && tx.error.message}`));
+    });
+  }
+
+  async putBatches(uploadId, batches) {
+    return this.transaction('readwrite', (store) => {
+      batches.forEach((batch, index) => {
+        store.put({ uploadId, index, csv: batch.csv });
+      });
+    });
+  }
+
+  async getBatch(uploadId, index) {
+    const record = await this.transaction('readonly', store => store.get([uploadId, index]));
+    return record ? record.csv : null;
+  }
+
+  async deleteBatch(uploadId, index) {
+    return this.transaction('readwrite', store => store.delete([uploadId, index]));
+  }
+
+  async deleteUpload(uploadId) {
+    const range = IDBKeyRange.bound([uploadId, 0], [uploadId, Infinity]);
+    await this.transaction('readwrite', store => store.delete(range));
+    return this.transaction('readwrite', store => store.delete(range), this.stageStoreName);
+  }
+
+  // Per-object data of a multi-object upload: { recordRows, ids, errors }
+  async putStage(uploadId, stage, data) {
+    return this.transaction('readwrite', store => store.put({ uploadId, stage, ...data }), this.stageStoreName);
+  }
+
+  async getStage(uploadId, stage) {
+    return this.transaction('readonly', store => store.get([uploadId, stage]), this.stageStoreName);
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UploadDataStore;
+} else {
+  self.UploadDataStore = UploadDataStore;
+}
@@ -0,0 +1,269 @@
+// Excel (.xlsx) Workbook Reader
+// Reads the ZIP container directly and inflates entries with DecompressionStream,
+// so no third-party spreadsheet library is needed. Requires DOMParser (popup only).
+class XLSXReader {
+  constructor() {
+    this.bytes = null;
+    this.entries = {};
+    this.sheets = [];
+    this.sharedStrings = [];
+    this.dateStyles = [];
+    this.date1904 = false;
+  }
+
+  // Load the workbook and return its sheet names in tab order
+  async open(file) {
+    this.bytes = new Uint8Array(await file.arrayBuffer());
+    this.entries = this.readCentralDirectory();
+
+    if (!this.entries['xl/workbook.xml']) {
+      throw new Error('Not a valid Excel workbook');
+    }
+
+    const workbook = await this.readXML('xl/workbook.xml');
+    const relationships = await this.readXML('xl/_rels/workbook.xml.rels');
+
+    const targets = {};
+    this.elements(relationships, 'Relationship').forEach(rel => {
+      targets[rel.getAttribute('Id')] = this.resolvePath(rel.getAttribute('Target'));
+    });
+
+    this.sheets = this.elements(workbook, 'sheet').map(sheet => ({
+      name: sheet.getAttribute('name'),
+      path: targets[sheet.getAttribute('r:id')]
+    })).filter(sheet => sheet.path && this.entries[sheet.path]);
+
+    const workbookPr = this.elements(workbook, 'workbookPr')[0];
+    this.date1904 = !!workbookPr && ['1', 'true'].includes(workbookPr.getAttribute('date1904'));
+
+    if (this.entries['xl/sharedStrings.xml']) {
+      const shared = await this.readXML('xl/sharedStrings.xml');
+      this.sharedStrings = this.elements(shared, 'si').map(si => this.stringText(si));
+    }
+
+    if (this.entries['xl/styles.xml']) {
+      this.dateStyles = this.readDateStyles(await this.readXML('xl/styles.xml'));
+    }
+
+    return this.sheets.map(sheet => sheet.name);
+  }
+
+  // Read a sheet as an array of rows, each an array of cell strings
+  async readSheet(sheetName) {
+    const sheet = sheetName
+      ? this.sheets.find(s => s.name === sheetName)
+      : this.sheets[0];
+
+    if (!sheet) {
+      throw new Error(`Sheet '${sheetName}' not found`);
+    }
+
+    const doc = await this.readXML(sheet.path);
+    const rows = [];
+
+    this.elements(doc, 'row').forEach(rowEl => {
+      const row = [];
+
+      this.elements(rowEl, 'c').forEach((cell, position) => {
+        const ref = cell.getAttribute('r');
+        const column = ref ? this.columnIndex(ref) : position;
+        row[column] = this.cellValue(cell);
+      });
+
+      // Fill gaps left by sparse cells
+      for (let i = 0; i < row.length; i++) {
+        if (row[i] === undefined) row[i] = '';
+      }
+
+      if (row.some(value => value !== '')) {
+        rows.push(row);
+      }
+    });
+
+    return rows;
+  }
+
+  cellValue(cell) {
+    const type = cell.getAttribute('t') || 'n';
+    const valueEl = this.elements(cell, 'v')[0];
+    const raw = valueEl ? valueEl.textContent : '';
+
+    switch (type) {
+      case 's':
+        return this.sharedStrings[parseInt(raw, 10)] || '';
+      case 'inlineStr': {
+        const inline = this.elements(cell, 'is')[0];
+        return inline ? this.stringText(inline) : '';
+      }
+      case 'b':
+        return raw === '1' ? 'true' : 'false';
+      case 'str':
+      case 'e':
+      case 'd':
+        return raw;
+      default: {
+        if (raw === '') return '';
+        const number = Number(raw);
+        const styleIndex = parseInt(cell.getAttribute('s') || '0', 10);
+        if (this.dateStyles[styleIndex]) {
+          return this.serialToDate(number);
+        }
+        // Match Excel's 15 significant digits so 0.1 + 0.2 reads as 0.3
+        return String(parseFloat(number.toPrecision(15)));
+      }
+    }
+  }
+
+  // Flags each cellXfs style index that uses a date/time number format
+  readDateStyles(styles) {
+    const customFormats = {};
+    this.elements(styles, 'numFmt').forEach(fmt => {
+      customFormats[fmt.getAttribute('numFmtId')] = fmt.getAttribute('formatCode');
+    });
+
+    const cellXfs = this.elements(styles, 'cellXfs')[0];
+    if (!cellXfs) return [];
+
+    return this.elements(cellXfs, 'xf').map(xf => {
+      const id = parseInt(xf.getAttribute('numFmtId') || '0', 10);
+      if (XLSXReader.BUILTIN_DATE_FORMATS.includes(id)) {
+        return true;
+      }
+      const code = customFormats[id];
+      if (!code) return false;
+      // Ignore quoted literals and [colour]/[locale] sections before looking for date tokens
+      const stripped = code.replace(/"[^"]*"/g, '').replace(/\[[^\]]*\]/g, '');
+      return /[dmyhs]/i.test(stripped);
+    });
+  }
+
+  serialToDate(serial) {
+    const epoch = this.date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    const date = new Date(epoch + Math.round(serial * 86400) * 1000);
+    const iso = date.toISOString();
+
+    // Whole numbers are plain dates and fractions carry a time of day. Time-only cells
+    // (h:mm, mm:ss and the like) hold just the fraction, which would otherwise land on the epoch
+    if (Number.isInteger(serial)) return iso.slice(0, 10);
+    return serial < 1 ? iso.slice(11, 19) : iso.slice(0, 19);
+  }
+
+  columnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+    let index = 0;
+    for (const letter of letters) {
+      index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+  }
+
+  resolvePath(target) {
+    if (target.startsWith('/')) {
+      return target.substring(1);
+    }
+    return `xl/${target}`;
+  }
+
+  elements(node, localName) {
+    return Array.from(node.getElementsByTagNameNS('*', localName));
+  }
+
+  children(node, localName) {
+    return Array.from(node.childNodes).filter(child => child.localName === localName);
+  }
+
+  // Text of a shared or inline string: its own <t>, or the <t> of each rich-text run.
+  // Phonetic guides (<rPh>) hold their own <t> and are not part of the value
+  stringText(node) {
+    return [
+      ...this.children(node, 't'),
+      ...this.children(node, 'r').flatMap(run => this.children(run, 't'))
+    ].map(t => t.textContent).join('');
+  }
+
+  async readXML(path) {
+    const text = new TextDecoder('utf-8').decode(await this.readEntry(path));
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error(`Malformed workbook part: ${path}`);
+    }
+    return doc;
+  }
+
+  // ZIP container handling
+  readCentralDirectory() {
+    const view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+
+    // End of central directory record sits within the last 64 KB + 22 bytes
+    let eocd = -1;
+    for (let i = this.bytes.length - 22; i >= Math.max(0, this.bytes.length - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+
+    if (eocd === -1) {
+      throw new Error('Not a valid Excel workbook');
+    }
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const entries = {};
+
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('Corrupt workbook directory');
+      }
+
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const name = new TextDecoder('utf-8').decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+      entries[name] = {
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        localHeaderOffset: view.getUint32(offset + 42, true)
+      };
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  async readEntry(path) {
+    const entry = this.entries[path];
+    if (!entry) {
+      throw new Error(`Workbook part missing: ${path}`);
+    }
+
+    const view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    const header = entry.localHeaderOffset;
+    const dataStart = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+    const data = this.bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) {
+      return data;
+    }
+
+    if (entry.method !== 8) {
+      throw new Error(`Unsupported compression method ${entry.method} in ${path}`);
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+}
+
+// Excel built-in number formats that display dates or times
+XLSXReader.BUILTIN_DATE_FORMATS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58];
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = XLSXReader;
+} else {
+  window.XLSXReader = XLSXReader;
+}